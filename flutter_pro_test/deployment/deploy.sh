@@ -57,6 +57,8 @@ if [ -z "$1" ]; then
 fi
 
 DEPLOYMENT_TARGET="$1"
+# Selects web/runtime-environments.json settings for web builds
+WEB_ENVIRONMENT="${CARENOW_ENVIRONMENT:-production}"
 
 # Pre-deployment checks
 log "🔍 Running pre-deployment checks..."
@@ -110,6 +112,10 @@ case $DEPLOYMENT_TARGET in
         flutter build web --release --web-renderer html
         
         if [ -d "build/web" ]; then
+            # Without these the build ships the checked-in runtime-config.js
+            # and no service worker precache
+            log "⚙️ Generating $WEB_ENVIRONMENT runtime and service worker config..."
+            scripts/prepare_web_build.sh "$WEB_ENVIRONMENT" build/web
             success "Web build completed successfully"
             
             # Optional: Deploy to Firebase Hosting
@@ -173,6 +179,7 @@ case $DEPLOYMENT_TARGET in
         # Web
         log "Building web..."
         flutter build web --release --web-renderer html
+        scripts/prepare_web_build.sh "$WEB_ENVIRONMENT" build/web
         
         # Android
         log "Building Android..."
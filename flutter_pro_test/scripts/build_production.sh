@@ -54,6 +54,12 @@ check_prerequisites() {
         exit 1
     fi
     
+    # Check Node.js (runtime config, image variants and service worker config generation)
+    if ! command -v node &> /dev/null; then
+        print_error "Node.js is not installed or not in PATH"
+        exit 1
+    fi
+    
     # Check environment file
     if [ ! -f "$PROJECT_ROOT/.env.production" ]; then
         print_warning "Production environment file not found. Using defaults."
@@ -144,9 +150,13 @@ build_web() {
         --web-renderer html \
         --dart-define=FLUTTER_ENV=production \
         --dart-define-from-file=.env.production \
+        --pwa-strategy=none \
         --tree-shake-icons \
         --source-maps
     
+    # Runtime config, image variants and service worker config
+    "$SCRIPT_DIR/prepare_web_build.sh" production "$BUILD_DIR/web"
+    
     # Copy to release directory
     cp -r "$BUILD_DIR/web" "$RELEASE_DIR/web"
     
@@ -37,6 +37,8 @@ echo "🔨 Building Flutter app with secure configuration..."
 case "${1:-web}" in
     "web")
         flutter build web --dart-define-from-file=.env
+        # Runtime config, image variants and service worker config
+        "$(dirname "$0")/prepare_web_build.sh" "${CARENOW_ENVIRONMENT:-production}" build/web
         ;;
     "android")
         flutter build apk --dart-define-from-file=.env
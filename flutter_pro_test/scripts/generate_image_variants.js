@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+
+/**
+ * CareNow MVP - Responsive Image Generator
+ * Encodes width-based AVIF, WebP and original-format variants of the JPEG and
+ * PNG images in web/ and assets/, then writes image-manifest.json listing only
+ * the variants that were actually produced. web_optimizer.js reads the manifest
+ * to pick a format the browser can decode and to build srcset.
+ *
+ * Encoders are optional CLI tools: cwebp, avifenc and ImageMagick (magick or
+ * convert). Formats without an available encoder are skipped.
+ *
+ * Usage: node scripts/generate_image_variants.js [build/web]
+ */
+
+'use strict';
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.dirname(__dirname);
+const OUTPUT_FILE = 'image-manifest.json';
+
+// Source directories and the URL prefix Flutter serves them under
+const SOURCES = [
+  { dir: 'web', urlPrefix: '/' },
+  { dir: 'assets', urlPrefix: '/assets/assets/' }
+];
+
+const IMAGE_PATTERN = /\.(?:jpe?g|png)$/i;
+
+// App icons have fixed sizes declared in manifest.json
+const EXCLUDE_PATTERNS = [/^icons\//, /^favicon\.png$/];
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Encoder quality on a 0-100 scale
+const IMAGE_QUALITY = {
+  avif: 60,
+  webp: 80,
+  jpeg: 82
+};
+
+const COMMAND_TIMEOUT = 60 * 1000; // ms per encoder run
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+// List every file under dir as a posix path relative to dir
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      return listFiles(path.join(dir, entry.name), relative);
+    }
+
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+function run(command, args) {
+  const result = spawnSync(command, args, { stdio: 'pipe', timeout: COMMAND_TIMEOUT });
+  return {
+    ok: result.status === 0,
+    output: `${result.stdout || ''}${result.stderr || ''}`.trim()
+  };
+}
+
+function hasCommand(command, versionArgs) {
+  return run(command, versionArgs).ok;
+}
+
+// Find the CLI encoders installed on this machine
+function detectEncoders() {
+  let imageMagick = null;
+  if (hasCommand('magick', ['-version'])) {
+    imageMagick = 'magick';
+  } else if (hasCommand('convert', ['-version'])) {
+    imageMagick = 'convert';
+  }
+
+  const delegates = imageMagick ? run(imageMagick, ['-list', 'format']).output : '';
+  const imageMagickWrites = format => new RegExp(`^\\s*${format}\\*?\\s+\\S+\\s+r?w`, 'im').test(delegates);
+
+  return {
+    imageMagick: imageMagick,
+    imageMagickAvif: Boolean(imageMagick) && imageMagickWrites('AVIF'),
+    imageMagickWebp: Boolean(imageMagick) && imageMagickWrites('WEBP'),
+    cwebp: hasCommand('cwebp', ['-version']),
+    avifenc: hasCommand('avifenc', ['--version'])
+  };
+}
+
+// Read the pixel size from the PNG IHDR chunk or a JPEG SOF marker
+function readDimensions(file) {
+  const buffer = fs.readFileSync(file);
+
+  if (buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      const isFrame = marker >= 0xc0 && marker <= 0xcf &&
+        marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+
+      if (isFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+function isUpToDate(output, source) {
+  return fs.existsSync(output) && fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+function resizeArgs(width, originalWidth) {
+  return width < originalWidth ? ['-resize', `${width}x`] : [];
+}
+
+function encodeWithImageMagick(encoders, source, output, width, originalWidth, quality) {
+  return run(encoders.imageMagick, [
+    source,
+    ...resizeArgs(width, originalWidth),
+    '-strip',
+    '-quality', String(quality),
+    output
+  ]);
+}
+
+function encodeWebp(encoders, source, output, width, originalWidth) {
+  if (encoders.cwebp) {
+    const resize = width < originalWidth ? ['-resize', String(width), '0'] : [];
+    return run('cwebp', ['-quiet', '-q', String(IMAGE_QUALITY.webp), ...resize, source, '-o', output]);
+  }
+
+  return encodeWithImageMagick(encoders, source, output, width, originalWidth, IMAGE_QUALITY.webp);
+}
+
+function encodeAvif(encoders, source, output, width, originalWidth) {
+  if (!encoders.avifenc) {
+    return encodeWithImageMagick(encoders, source, output, width, originalWidth, IMAGE_QUALITY.avif);
+  }
+
+  // avifenc cannot resize, so narrower variants go through a temporary PNG
+  let input = source;
+  if (width < originalWidth) {
+    input = `${output}.tmp.png`;
+    const resized = run(encoders.imageMagick, [source, '-resize', `${width}x`, input]);
+    if (!resized.ok) return resized;
+  }
+
+  // --min/--max take a 0-63 quantizer and work across libavif versions
+  const quantizer = String(Math.round((100 - IMAGE_QUALITY.avif) * 63 / 100));
+  const result = run('avifenc', ['--min', quantizer, '--max', quantizer, '--speed', '6', input, output]);
+
+  if (input !== source) fs.rmSync(input, { force: true });
+  return result;
+}
+
+// Which widths each format can be produced at with the available encoders
+function plannedWidths(encoders, format, widths, originalWidth) {
+  const narrower = widths.filter(width => width < originalWidth);
+
+  switch (format) {
+    case 'avif':
+      if (encoders.imageMagickAvif) return widths;
+      if (encoders.avifenc) return encoders.imageMagick ? widths : [originalWidth];
+      return [];
+    case 'webp':
+      return encoders.cwebp || encoders.imageMagickWebp ? widths : [];
+    default:
+      // The source file itself serves the original width
+      return encoders.imageMagick ? narrower : [];
+  }
+}
+
+function encodeVariant(encoders, format, source, output, width, originalWidth) {
+  switch (format) {
+    case 'avif':
+      return encodeAvif(encoders, source, output, width, originalWidth);
+    case 'webp':
+      return encodeWebp(encoders, source, output, width, originalWidth);
+    default:
+      return encodeWithImageMagick(encoders, source, output, width, originalWidth, IMAGE_QUALITY.jpeg);
+  }
+}
+
+function processImage(encoders, buildDir, source, url, stats) {
+  const dimensions = readDimensions(source);
+  if (!dimensions) {
+    console.warn(`⚠️  Skipping ${url}: unreadable image header`);
+    return null;
+  }
+
+  const extension = path.extname(url).slice(1).toLowerCase();
+  const originalFormat = extension === 'png' ? 'png' : 'jpeg';
+  const widths = [...WIDTHS.filter(width => width < dimensions.width), dimensions.width];
+  const basePath = url.slice(1, -(extension.length + 1));
+  const variants = [];
+
+  ['avif', 'webp', originalFormat].forEach(format => {
+    const variantExtension = format === originalFormat ? extension : format;
+
+    plannedWidths(encoders, format, widths, dimensions.width).forEach(width => {
+      const relative = `${basePath}-${width}w.${variantExtension}`;
+      const output = path.join(buildDir, relative);
+
+      if (isUpToDate(output, source)) {
+        stats.reused++;
+      } else {
+        fs.mkdirSync(path.dirname(output), { recursive: true });
+        const result = encodeVariant(encoders, format, source, output, width, dimensions.width);
+
+        if (!result.ok) {
+          console.warn(`⚠️  ${format} ${width}w failed for ${url}: ${result.output || 'encoder error'}`);
+          fs.rmSync(output, { force: true });
+          return;
+        }
+        stats.encoded++;
+      }
+
+      // Only list files that really exist so the page never requests a 404
+      if (fs.existsSync(output) && fs.statSync(output).size > 0) {
+        variants.push({ url: `/${relative}`, format: format, width: width });
+      }
+    });
+  });
+
+  return {
+    width: dimensions.width,
+    height: dimensions.height,
+    format: originalFormat,
+    variants: variants
+  };
+}
+
+function collectImages() {
+  return SOURCES.flatMap(({ dir, urlPrefix }) => {
+    const sourceDir = path.join(PROJECT_ROOT, dir);
+    if (!fs.existsSync(sourceDir)) return [];
+
+    return listFiles(sourceDir)
+      .filter(file => IMAGE_PATTERN.test(file))
+      .filter(file => !EXCLUDE_PATTERNS.some(pattern => pattern.test(file)))
+      .sort()
+      .map(file => ({ source: path.join(sourceDir, file), url: `${urlPrefix}${file}` }));
+  });
+}
+
+function main() {
+  const buildDir = path.resolve(PROJECT_ROOT, process.argv[2] || 'build/web');
+
+  if (!fs.existsSync(buildDir)) {
+    fail(`Build directory not found: ${buildDir}. Run "flutter build web" first.`);
+  }
+
+  const encoders = detectEncoders();
+  const available = Object.keys(encoders).filter(name => encoders[name] && name !== 'imageMagick');
+  if (encoders.imageMagick) available.unshift(encoders.imageMagick);
+  console.log(`🖼️  Encoders: ${available.length > 0 ? available.join(', ') : 'none (manifest lists originals only)'}`);
+
+  const stats = { encoded: 0, reused: 0 };
+  const images = {};
+
+  collectImages().forEach(({ source, url }) => {
+    const entry = processImage(encoders, buildDir, source, url, stats);
+    if (entry) images[url] = entry;
+  });
+
+  const manifest = {
+    version: 1,
+    widths: WIDTHS,
+    images: images
+  };
+
+  fs.writeFileSync(path.join(buildDir, OUTPUT_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const variantCount = Object.values(images).reduce((sum, entry) => sum + entry.variants.length, 0);
+  console.log(`✅ Wrote ${OUTPUT_FILE}`);
+  console.log(`   Images: ${Object.keys(images).length}, variants: ${variantCount} (${stats.encoded} encoded, ${stats.reused} reused)`);
+}
+
+main();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * CareNow MVP - Web Runtime Config Generator
+ * Writes runtime-config.js for one environment from web/runtime-environments.json.
+ * index.html loads it before web_optimizer.js and sw.js imports it, so both
+ * share the version, environment, telemetry settings and feature switches.
+ *
+ * Deploy-time overrides (environment variables):
+ *   APP_VERSION                     version string, defaults to pubspec.yaml
+ *   CARENOW_TELEMETRY_ENDPOINT      HTTP telemetry collector
+ *   CARENOW_TELEMETRY_SAMPLE_RATE   share of sessions that report (0-1)
+ *   CARENOW_ERROR_ENDPOINT          crash report collector
+ *
+ * Run generate_sw_config.js afterwards so the precache picks up the new file.
+ *
+ * Usage: node scripts/generate_runtime_config.js <environment> [build/web]
+ */
+
+'use strict';
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.dirname(__dirname);
+const ENVIRONMENTS_FILE = path.join(PROJECT_ROOT, 'web', 'runtime-environments.json');
+const PUBSPEC_FILE = path.join(PROJECT_ROOT, 'pubspec.yaml');
+const OUTPUT_FILE = 'runtime-config.js';
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Environment values win over defaults, nested objects are merged
+function merge(base, override) {
+  const result = { ...base };
+
+  Object.keys(override || {}).forEach(key => {
+    result[key] = isObject(base[key]) && isObject(override[key])
+      ? merge(base[key], override[key])
+      : override[key];
+  });
+
+  return result;
+}
+
+function readPubspecVersion() {
+  const match = /^version:\s*(\S+)/m.exec(fs.readFileSync(PUBSPEC_FILE, 'utf8'));
+  return match ? match[1] : '0.0.0';
+}
+
+function readCommit() {
+  if (process.env.GITHUB_SHA) {
+    return process.env.GITHUB_SHA.slice(0, 7);
+  }
+
+  const result = spawnSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: PROJECT_ROOT, encoding: 'utf8' });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+function applyEnvironmentOverrides(config) {
+  const result = { ...config };
+
+  if (process.env.CARENOW_TELEMETRY_ENDPOINT) {
+    result.telemetry = { ...result.telemetry, endpoint: process.env.CARENOW_TELEMETRY_ENDPOINT };
+  }
+
+  if (process.env.CARENOW_TELEMETRY_SAMPLE_RATE) {
+    const sampleRate = Number(process.env.CARENOW_TELEMETRY_SAMPLE_RATE);
+    if (!(sampleRate >= 0 && sampleRate <= 1)) {
+      fail(`CARENOW_TELEMETRY_SAMPLE_RATE must be between 0 and 1, got "${process.env.CARENOW_TELEMETRY_SAMPLE_RATE}"`);
+    }
+    result.telemetry = { ...result.telemetry, sampleRate: sampleRate };
+  }
+
+  if (process.env.CARENOW_ERROR_ENDPOINT) {
+    result.errorReporting = { ...result.errorReporting, endpoint: process.env.CARENOW_ERROR_ENDPOINT };
+  }
+
+  return result;
+}
+
+function resolveRuntimeConfig(environment) {
+  const source = JSON.parse(fs.readFileSync(ENVIRONMENTS_FILE, 'utf8'));
+  const environments = source.environments || {};
+
+  if (!Object.prototype.hasOwnProperty.call(environments, environment)) {
+    fail(`Unknown environment "${environment}". Expected one of: ${Object.keys(environments).join(', ')}`);
+  }
+
+  const settings = applyEnvironmentOverrides(merge(source.defaults || {}, environments[environment]));
+
+  return {
+    environment: environment,
+    version: process.env.APP_VERSION || readPubspecVersion(),
+    commit: readCommit(),
+    ...settings
+  };
+}
+
+function main() {
+  const environment = process.argv[2];
+  if (!environment) {
+    fail('Usage: node scripts/generate_runtime_config.js <environment> [build/web]');
+  }
+
+  const buildDir = path.resolve(PROJECT_ROOT, process.argv[3] || 'build/web');
+  if (!fs.existsSync(buildDir)) {
+    fail(`Build directory not found: ${buildDir}. Run "flutter build web" first.`);
+  }
+
+  const config = resolveRuntimeConfig(environment);
+
+  const output = [
+    '// Generated by scripts/generate_runtime_config.js - do not edit by hand',
+    `self.CARENOW_RUNTIME_CONFIG = ${JSON.stringify(config, null, 2)};`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(path.join(buildDir, OUTPUT_FILE), output);
+
+  const switches = Object.keys(config.features || {})
+    .map(name => `${name}=${config.features[name]}`)
+    .join(', ');
+  console.log(`✅ Wrote ${OUTPUT_FILE} (${config.environment} ${config.version}${config.commit ? ` @ ${config.commit}` : ''})`);
+  console.log(`   Features: ${switches}`);
+}
+
+main();
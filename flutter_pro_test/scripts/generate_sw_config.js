@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * CareNow MVP - Service Worker Config Generator
+ * Reads the Flutter web build output and writes sw-config.js, which sw.js
+ * loads with importScripts(): the precache manifest (with content hashes)
+ * plus the runtime route config from web/sw-routes.json, with the cache TTL
+ * overrides from the build's runtime-config.js (generate_runtime_config.js).
+ *
+ * Usage: node scripts/generate_sw_config.js [build/web]
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_ROOT = path.dirname(__dirname);
+const ROUTES_FILE = path.join(PROJECT_ROOT, 'web', 'sw-routes.json');
+const OUTPUT_FILE = 'sw-config.js';
+const RUNTIME_CONFIG_FILE = 'runtime-config.js';
+
+const STRATEGIES = [
+  'cache-first',
+  'network-first',
+  'stale-while-revalidate',
+  'network-only',
+  'cache-only'
+];
+
+// Files a Flutter web build must contain for the app shell to work offline
+const REQUIRED_FILES = ['index.html', 'flutter_bootstrap.js', 'main.dart.js'];
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+// List every file under dir as a posix path relative to dir
+function listFiles(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      return listFiles(path.join(dir, entry.name), relative);
+    }
+
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+function compilePatterns(sources, label) {
+  return (sources || []).map(source => {
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      fail(`Invalid ${label} pattern "${source}": ${error.message}`);
+    }
+  });
+}
+
+// Evaluate the generated runtime-config.js the same way the browser does
+function readRuntimeConfig(buildDir) {
+  const file = path.join(buildDir, RUNTIME_CONFIG_FILE);
+  if (!fs.existsSync(file)) {
+    fail(`${RUNTIME_CONFIG_FILE} not found. Run "node scripts/generate_runtime_config.js <environment>" first.`);
+  }
+
+  const sandbox = { self: {} };
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+
+  if (!sandbox.self.CARENOW_RUNTIME_CONFIG) {
+    fail(`${RUNTIME_CONFIG_FILE} does not define CARENOW_RUNTIME_CONFIG`);
+  }
+
+  return sandbox.self.CARENOW_RUNTIME_CONFIG;
+}
+
+// Per-environment TTL overrides, keyed by route name
+function applyRouteOverrides(routes, overrides) {
+  Object.keys(overrides).forEach(name => {
+    if (!routes.some(route => route.name === name)) {
+      fail(`Runtime config overrides unknown route "${name}"`);
+    }
+  });
+
+  return routes.map(route => ({ ...route, ...overrides[route.name] }));
+}
+
+// Validate the declarative routes and convert them to what sw.js expects
+function buildRoutes(routes) {
+  const cacheNames = new Set();
+
+  return routes.map((route, index) => {
+    const label = route.name || `#${index}`;
+
+    if (!route.pattern) fail(`Route ${label} is missing a pattern`);
+    compilePatterns([route.pattern], `route ${label}`);
+
+    if (!STRATEGIES.includes(route.strategy)) {
+      fail(`Route ${label} has unknown strategy "${route.strategy}"`);
+    }
+
+    if (!/^[a-z0-9-]+$/.test(route.cacheName || '')) {
+      fail(`Route ${label} needs a cacheName made of lowercase letters, digits and dashes`);
+    }
+
+    if (cacheNames.has(route.cacheName)) {
+      fail(`Route ${label} reuses cacheName "${route.cacheName}"`);
+    }
+    cacheNames.add(route.cacheName);
+
+    return {
+      name: label,
+      pattern: route.pattern,
+      strategy: route.strategy,
+      maxAge: route.maxAgeSeconds ? route.maxAgeSeconds * 1000 : null,
+      maxEntries: route.maxEntries || null,
+      networkTimeout: route.networkTimeoutSeconds ? route.networkTimeoutSeconds * 1000 : null,
+      revalidateAfter: route.revalidateAfterSeconds !== undefined
+        ? route.revalidateAfterSeconds * 1000
+        : null,
+      cacheName: route.cacheName,
+      broadcastUpdates: Boolean(route.broadcastUpdates),
+      userScoped: Boolean(route.userScoped)
+    };
+  });
+}
+
+function buildPrecacheManifest(buildDir, precache) {
+  const include = compilePatterns(precache.include, 'precache include');
+  const exclude = compilePatterns(precache.exclude, 'precache exclude');
+
+  return listFiles(buildDir)
+    .filter(file => include.some(pattern => pattern.test(file)))
+    .filter(file => !exclude.some(pattern => pattern.test(file)))
+    .sort()
+    .map(file => {
+      const content = fs.readFileSync(path.join(buildDir, file));
+
+      return {
+        url: `/${file}`,
+        revision: hashContent(content),
+        size: content.length
+      };
+    });
+}
+
+function main() {
+  const buildDir = path.resolve(PROJECT_ROOT, process.argv[2] || 'build/web');
+
+  if (!fs.existsSync(buildDir)) {
+    fail(`Build directory not found: ${buildDir}. Run "flutter build web" first.`);
+  }
+
+  const missing = REQUIRED_FILES.filter(file => !fs.existsSync(path.join(buildDir, file)));
+  if (missing.length > 0) {
+    fail(`Build output is missing ${missing.join(', ')}`);
+  }
+
+  const runtimeConfig = readRuntimeConfig(buildDir);
+  const source = JSON.parse(fs.readFileSync(ROUTES_FILE, 'utf8'));
+  const overrides = (runtimeConfig.cache && runtimeConfig.cache.routes) || {};
+  const routes = buildRoutes(applyRouteOverrides(source.routes || [], overrides));
+  const manifest = buildPrecacheManifest(buildDir, source.precache || {});
+
+  // The version changes whenever a precached file or the route config does;
+  // runtime-config.js is precached, so a new environment or version counts too
+  const version = hashContent(JSON.stringify({ manifest, routes })).slice(0, 12);
+
+  const config = {
+    version: version,
+    precache: manifest.map(({ url, revision }) => ({ url, revision })),
+    routes: routes
+  };
+
+  const output = [
+    '// Generated by scripts/generate_sw_config.js - do not edit by hand',
+    `self.CARENOW_SW_CONFIG = ${JSON.stringify(config, null, 2)};`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(path.join(buildDir, OUTPUT_FILE), output);
+
+  const totalSize = manifest.reduce((sum, entry) => sum + entry.size, 0);
+  console.log(`✅ Wrote ${OUTPUT_FILE} (version ${version}, ${runtimeConfig.environment})`);
+  console.log(`   Precache: ${manifest.length} files, ${(totalSize / 1024).toFixed(1)} KiB`);
+  console.log(`   Routes: ${routes.map(route => route.name).join(', ')}`);
+}
+
+main();
@@ -0,0 +1,36 @@
+#!/bin/bash
+
+# 🌐 CareNow MVP - Web Build Post-Processing
+# Runs after "flutter build web" and before any deploy: writes the
+# environment's runtime-config.js, the responsive image variants and the
+# service worker precache/route config (sw-config.js), in that order, since
+# each later step reads what the earlier ones wrote.
+#
+# Usage: scripts/prepare_web_build.sh <development|staging|production> [build/web]
+
+set -e
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(dirname "$SCRIPT_DIR")"
+
+ENVIRONMENT="$1"
+WEB_BUILD_DIR="${2:-$PROJECT_ROOT/build/web}"
+
+if [ -z "$ENVIRONMENT" ]; then
+    echo "Usage: $0 <development|staging|production> [build/web]"
+    exit 1
+fi
+
+if ! command -v node &> /dev/null; then
+    echo "❌ Node.js is required to generate the web runtime and service worker config"
+    exit 1
+fi
+
+# Environment settings shared by web_optimizer.js and sw.js
+node "$SCRIPT_DIR/generate_runtime_config.js" "$ENVIRONMENT" "$WEB_BUILD_DIR"
+
+# Encode responsive image variants and write image-manifest.json
+node "$SCRIPT_DIR/generate_image_variants.js" "$WEB_BUILD_DIR"
+
+# Generate the service worker precache manifest and route config
+node "$SCRIPT_DIR/generate_sw_config.js" "$WEB_BUILD_DIR"
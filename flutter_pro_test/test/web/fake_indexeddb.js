@@ -0,0 +1,200 @@
+/**
+ * In-memory IndexedDB covering what web/sw.js uses: object stores with
+ * keyPath (string or array) and autoIncrement, single-field indexes, and
+ * get/getAll/put/add/delete/clear requests inside transactions that
+ * complete on the next turn of the event loop.
+ */
+
+'use strict';
+
+function keyOf(keyPath, value) {
+  return Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath];
+}
+
+function serializeKey(key) {
+  return JSON.stringify(key);
+}
+
+function compareKeys(a, b) {
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+class FakeObjectStoreData {
+  constructor(keyPath, autoIncrement) {
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.nextKey = 1;
+    this.records = new Map();
+    this.indexes = new Map();
+  }
+
+  createIndex(name, keyPath) {
+    this.indexes.set(name, keyPath);
+  }
+
+  sorted() {
+    return Array.from(this.records.values())
+      .sort((a, b) => compareKeys(a.key, b.key))
+      .map(record => record.value);
+  }
+}
+
+// Requests carry their result synchronously; callers only read it once the
+// transaction completes, like with the real thing
+class FakeObjectStore {
+  constructor(data, transaction) {
+    this.data = data;
+    this.transaction = transaction;
+  }
+
+  request(result) {
+    return { result: result };
+  }
+
+  get(key) {
+    const record = this.data.records.get(serializeKey(key));
+    return this.request(record ? { ...record.value } : undefined);
+  }
+
+  getAll() {
+    return this.request(this.data.sorted().map(value => ({ ...value })));
+  }
+
+  put(value) {
+    this.transaction.assertWritable();
+
+    let key = keyOf(this.data.keyPath, value);
+    if (key === undefined && this.data.autoIncrement) {
+      key = this.data.nextKey++;
+      value = { ...value, [this.data.keyPath]: key };
+    } else if (typeof key === 'number' && key >= this.data.nextKey) {
+      this.data.nextKey = key + 1;
+    }
+
+    this.data.records.set(serializeKey(key), { key, value: { ...value } });
+    return this.request(key);
+  }
+
+  add(value) {
+    return this.put(value);
+  }
+
+  delete(key) {
+    this.transaction.assertWritable();
+    this.data.records.delete(serializeKey(key));
+    return this.request(undefined);
+  }
+
+  clear() {
+    this.transaction.assertWritable();
+    this.data.records.clear();
+    return this.request(undefined);
+  }
+
+  index(name) {
+    const keyPath = this.data.indexes.get(name);
+    if (!keyPath) {
+      throw new Error(`No index ${name}`);
+    }
+
+    return {
+      getAll: query => this.request(this.data.sorted()
+        .filter(value => query === undefined || value[keyPath] === query)
+        .map(value => ({ ...value })))
+    };
+  }
+}
+
+class FakeTransaction {
+  constructor(db, mode) {
+    this.db = db;
+    this.mode = mode;
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+
+    db.factory.pending++;
+    setImmediate(() => {
+      db.factory.pending--;
+      if (this.oncomplete) this.oncomplete();
+    });
+  }
+
+  assertWritable() {
+    if (this.mode !== 'readwrite') {
+      throw new Error('Transaction is read-only');
+    }
+  }
+
+  objectStore(name) {
+    const data = this.db.stores.get(name);
+    if (!data) {
+      throw new Error(`No object store ${name}`);
+    }
+    return new FakeObjectStore(data, this);
+  }
+}
+
+class FakeDatabase {
+  constructor(factory, name) {
+    this.factory = factory;
+    this.name = name;
+    this.version = 0;
+    this.stores = new Map();
+    this.objectStoreNames = { contains: storeName => this.stores.has(storeName) };
+  }
+
+  createObjectStore(name, { keyPath, autoIncrement = false } = {}) {
+    const data = new FakeObjectStoreData(keyPath, autoIncrement);
+    this.stores.set(name, data);
+    return data;
+  }
+
+  transaction(storeName, mode = 'readonly') {
+    return new FakeTransaction(this, mode);
+  }
+
+  // Every record in a store, for assertions
+  dump(storeName) {
+    return this.stores.get(storeName).sorted();
+  }
+}
+
+class FakeIndexedDB {
+  constructor() {
+    this.databases = new Map();
+    this.pending = 0;
+  }
+
+  open(name, version = 1) {
+    const request = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+
+    this.pending++;
+    setImmediate(() => {
+      this.pending--;
+
+      let db = this.databases.get(name);
+      if (!db) {
+        db = new FakeDatabase(this, name);
+        this.databases.set(name, db);
+      }
+
+      request.result = db;
+      if (version > db.version) {
+        db.version = version;
+        if (request.onupgradeneeded) request.onupgradeneeded();
+      }
+      if (request.onsuccess) request.onsuccess();
+    });
+
+    return request;
+  }
+
+  database(name) {
+    return this.databases.get(name);
+  }
+}
+
+module.exports = { FakeIndexedDB };
@@ -0,0 +1,279 @@
+/**
+ * In-memory stand-ins for the parts of ServiceWorkerGlobalScope that
+ * web/sw/ uses: CacheStorage, clients, fetch and timers driven by a fake clock.
+ */
+
+'use strict';
+
+const ORIGIN = 'https://carenow.test';
+
+function toUrl(request) {
+  return typeof request === 'string' ? new URL(request, ORIGIN).href : request.url;
+}
+
+// Let pending promise chains run
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Bodies are copied on put, like the real Cache, so callers can keep theirs
+class FakeCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(request) {
+    const stored = this.entries.get(toUrl(request));
+    if (!stored) return undefined;
+
+    return new Response(stored.body, {
+      status: stored.status,
+      statusText: stored.statusText,
+      headers: stored.headers
+    });
+  }
+
+  async put(request, response) {
+    if (response.bodyUsed) {
+      throw new TypeError('Response body is already used');
+    }
+
+    this.entries.set(toUrl(request), {
+      body: await response.arrayBuffer(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: new Headers(response.headers)
+    });
+  }
+
+  async delete(request) {
+    return this.entries.delete(toUrl(request));
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys()).map(url => new Request(url));
+  }
+}
+
+class FakeCacheStorage {
+  constructor() {
+    this.caches = new Map();
+  }
+
+  async open(name) {
+    if (!this.caches.has(name)) {
+      this.caches.set(name, new FakeCache());
+    }
+    return this.caches.get(name);
+  }
+
+  async has(name) {
+    return this.caches.has(name);
+  }
+
+  async delete(name) {
+    return this.caches.delete(name);
+  }
+
+  async keys() {
+    return Array.from(this.caches.keys());
+  }
+}
+
+class FakeClient {
+  constructor(id, { url = `${ORIGIN}/`, visibilityState = 'visible' } = {}) {
+    this.id = id;
+    this.type = 'window';
+    this.url = url;
+    this.visibilityState = visibilityState;
+    this.focused = false;
+    this.messages = [];
+  }
+
+  postMessage(message, transfer) {
+    this.messages.push(message);
+    if (this.onmessage) this.onmessage(message, transfer);
+  }
+
+  async focus() {
+    this.focused = true;
+    return this;
+  }
+
+  async navigate(url) {
+    this.url = url;
+    return this;
+  }
+}
+
+class FakeClients {
+  constructor() {
+    this.list = [];
+    this.opened = [];
+  }
+
+  add(options) {
+    const client = new FakeClient(`client-${this.list.length + 1}`, options);
+    this.list.push(client);
+    return client;
+  }
+
+  async matchAll() {
+    return this.list.slice();
+  }
+
+  async openWindow(url) {
+    this.opened.push(url);
+    return this.add({ url });
+  }
+
+  async claim() {}
+}
+
+// Timers only fire when the test advances the clock
+class FakeClock {
+  constructor(start = Date.UTC(2024, 0, 1)) {
+    this.time = start;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, due: this.time + delay });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(callback, interval = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, due: this.time + interval, interval: Math.max(interval, 1) });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  async advance(ms) {
+    await flush();
+    const target = this.time + ms;
+
+    for (;;) {
+      const due = Array.from(this.timers.entries())
+        .filter(([, timer]) => timer.due <= target)
+        .sort((a, b) => a[1].due - b[1].due)[0];
+      if (!due) break;
+
+      const [id, timer] = due;
+      this.timers.delete(id);
+      this.time = timer.due;
+      if (timer.interval) {
+        this.timers.set(id, { ...timer, due: timer.due + timer.interval });
+      }
+      timer.callback();
+      await flush();
+    }
+
+    this.time = target;
+    await flush();
+  }
+}
+
+// Answers requests with handlers registered per URL; unknown URLs fail like
+// a dropped connection
+class FakeNetwork {
+  constructor() {
+    this.handlers = new Map();
+    this.requests = [];
+    this.offline = false;
+  }
+
+  respond(url, handler) {
+    this.handlers.set(toUrl(url), typeof handler === 'function' ? handler : () => handler.clone());
+  }
+
+  // A response the test releases later, for timeout tests
+  defer(url) {
+    let release;
+    const pending = new Promise(resolve => {
+      release = resolve;
+    });
+
+    this.respond(url, () => pending);
+    return body => release(new Response(body));
+  }
+
+  async fetch(request) {
+    this.requests.push(request.url);
+
+    const handler = this.handlers.get(request.url);
+    if (this.offline || !handler) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    return handler(request);
+  }
+
+  count(url) {
+    return this.requests.filter(requested => requested === toUrl(url)).length;
+  }
+}
+
+// FetchEvent.waitUntil() bookkeeping
+class FakeEvent {
+  constructor() {
+    this.pending = [];
+  }
+
+  waitUntil(promise) {
+    this.pending.push(promise);
+  }
+
+  settled() {
+    return Promise.all(this.pending);
+  }
+}
+
+const silentLogger = { warn() {}, log() {}, error() {} };
+
+// The scope object strategies expect, see workerScope() in web/sw/strategies.js
+function createWorkerScope() {
+  const clock = new FakeClock();
+  const network = new FakeNetwork();
+
+  return {
+    caches: new FakeCacheStorage(),
+    clients: new FakeClients(),
+    fetch: request => network.fetch(request),
+    setTimeout: (callback, delay) => clock.setTimeout(callback, delay),
+    clearTimeout: id => clock.clearTimeout(id),
+    now: () => clock.now(),
+    clock: clock,
+    network: network
+  };
+}
+
+function request(path, init) {
+  return new Request(new URL(path, ORIGIN).href, init);
+}
+
+module.exports = {
+  ORIGIN,
+  FakeCacheStorage,
+  FakeClients,
+  FakeClock,
+  FakeNetwork,
+  FakeEvent,
+  createWorkerScope,
+  flush,
+  request,
+  silentLogger
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { FakeBrowser, ORIGIN } = require('./page_harness.js');
+
+const SUPPORTED_ENTRY_TYPES = ['largest-contentful-paint', 'layout-shift', 'event', 'longtask'];
+
+describe('route attribution', () => {
+  let browser;
+  let tab;
+
+  beforeEach(async () => {
+    browser = new FakeBrowser({ supportedEntryTypes: SUPPORTED_ENTRY_TYPES });
+    tab = browser.openTab({ url: `${ORIGIN}/#/client` });
+    await browser.settle();
+  });
+
+  function current() {
+    return tab.optimizer.routeTracker.getCurrent();
+  }
+
+  function pushUrl(hash) {
+    tab.window.history.pushState(null, '', hash);
+  }
+
+  // Everything the tab uploads when it is closed, by event name
+  async function closeAndCollect() {
+    const transport = tab.captureTelemetry();
+    tab.close();
+    await browser.settle();
+
+    return Array.from(transport.batches)
+      .flatMap(batch => Array.from(batch.events))
+      .reduce((events, event) => ({ ...events, [`${event.type}:${event.name}`]: event }), {});
+  }
+
+  describe('RouteTracker', () => {
+    it('names routes from URL changes, with ids replaced', () => {
+      pushUrl('#/client/booking-tracking/12345');
+
+      assert.equal(current().name, '/client/booking-tracking/:id');
+      assert.equal(current().path, '/client/booking-tracking/12345');
+      assert.equal(current().source, 'history');
+    });
+
+    it('keeps the Flutter route names once setRoute has been called', () => {
+      tab.optimizer.setRoute('/client/booking-tracking/:bookingId', '/client/booking-tracking/b1');
+      pushUrl('#/partner/dashboard');
+
+      assert.equal(current().name, '/client/booking-tracking/:bookingId');
+      assert.equal(current().source, 'flutter');
+
+      tab.optimizer.setRoute('/partner/dashboard');
+
+      assert.equal(current().name, '/partner/dashboard');
+      assert.equal(current().path, '/partner/dashboard');
+    });
+
+    it('starts a Flutter route at the URL change that led to it', async () => {
+      tab.optimizer.setRoute('/client');
+      await browser.clock.advance(5000);
+      pushUrl('#/client/services');
+      await browser.clock.advance(300);
+      tab.optimizer.setRoute('/client/services');
+
+      assert.equal(current().startTime, 5000);
+
+      await browser.clock.advance(2000);
+      tab.optimizer.setRoute('/client/booking');
+
+      assert.equal(current().startTime, 7300);
+    });
+
+    it('updates the path of a route that did not change', () => {
+      const changes = [];
+      tab.optimizer.routeTracker.subscribe(route => changes.push(route.name));
+
+      tab.optimizer.setRoute('/client/booking-tracking/:bookingId', '/client/booking-tracking/b1');
+      tab.optimizer.setRoute('/client/booking-tracking/:bookingId', '/client/booking-tracking/b2');
+
+      assert.deepEqual(changes, ['/client/booking-tracking/:bookingId']);
+      assert.equal(current().path, '/client/booking-tracking/b2');
+    });
+  });
+
+  describe('web vitals', () => {
+    it('reports LCP on the route it was painted on', async () => {
+      await browser.clock.advance(1200);
+      tab.performance.emit({ entryType: 'largest-contentful-paint', startTime: 1200, renderTime: 1200 });
+      await browser.settle();
+      await browser.clock.advance(3000);
+      tab.optimizer.setRoute('/client/booking');
+
+      const events = await closeAndCollect();
+
+      assert.equal(events['metric:LCP'].value, 1200);
+      assert.equal(events['metric:LCP'].route, '/client');
+      assert.equal(events['metric:LCP-rating'].route, '/client');
+    });
+
+    it('attributes an LCP entry still pending at a route change to the earlier route', async () => {
+      await browser.clock.advance(1200);
+      tab.performance.emit({ entryType: 'largest-contentful-paint', startTime: 1150, renderTime: 1150 });
+      tab.optimizer.setRoute('/client/booking');
+
+      const events = await closeAndCollect();
+
+      assert.equal(events['metric:LCP'].route, '/client');
+    });
+
+    it('reports CLS on the route its largest session window started on', async () => {
+      tab.performance.emit({ entryType: 'layout-shift', startTime: 500, value: 0.05, hadRecentInput: false });
+      await browser.clock.advance(3000);
+      tab.optimizer.setRoute('/client/booking');
+      await browser.clock.advance(1000);
+      tab.performance.emit({ entryType: 'layout-shift', startTime: 4000, value: 0.2, hadRecentInput: false });
+      tab.performance.emit({ entryType: 'layout-shift', startTime: 4500, value: 0.1, hadRecentInput: false });
+      await browser.clock.advance(3000);
+      tab.optimizer.setRoute('/client/booking-confirmation');
+      tab.performance.emit({ entryType: 'layout-shift', startTime: 7000, value: 0.01, hadRecentInput: false });
+
+      const events = await closeAndCollect();
+
+      assert.equal(events['metric:CLS'].value.toFixed(2), '0.30');
+      assert.equal(events['metric:CLS'].route, '/client/booking');
+    });
+
+    it('reports INP and TBT for the whole page, with per-route values in the route summaries', async () => {
+      await browser.clock.advance(1000);
+      tab.performance.emit({ entryType: 'event', startTime: 600, duration: 320, interactionId: 1 });
+      tab.performance.emit({ entryType: 'longtask', startTime: 800, duration: 150 });
+      tab.optimizer.setRoute('/client/booking');
+
+      const events = await closeAndCollect();
+
+      assert.equal(events['metric:INP'].value, 320);
+      assert.equal(events['metric:INP'].route, null);
+      assert.equal(events['metric:TBT'].route, null);
+      assert.equal(events['route:/client'].value.inp, 320);
+      assert.equal(events['route:/client'].value.longTasks, 1);
+      assert.equal(events['route:/client/booking'].value.inp, null);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { FakeBrowser, ORIGIN } = require('./page_harness.js');
+
+describe('shared content', () => {
+  let browser;
+  let tab;
+
+  beforeEach(async () => {
+    browser = new FakeBrowser();
+    tab = browser.openTab({ url: `${ORIGIN}/#/client/booking?shareId=s1` });
+    await browser.settle();
+    browser.network.respond('/share-target/s1', () => Response.json({
+      title: 'Living room',
+      files: [{ url: '/share-target/s1/files/0', name: 'room.jpg', type: 'image/jpeg' }]
+    }));
+  });
+
+  it('reads staged files back as File objects', async () => {
+    browser.network.respond('/share-target/s1/files/0', new Response('jpeg bytes'));
+
+    const item = await tab.optimizer.getSharedContent('s1');
+
+    assert.equal(item.title, 'Living room');
+    assert.equal(item.files[0].name, 'room.jpg');
+    assert.equal(await item.files[0].text(), 'jpeg bytes');
+  });
+
+  it('rejects when a staged file cannot be read', async () => {
+    browser.network.respond('/share-target/s1/files/0', () => new Response('Not found', { status: 404 }));
+
+    await assert.rejects(tab.optimizer.getSharedContent('s1'), /room\.jpg unavailable \(404\)/);
+  });
+
+  it('resolves with null once the share has expired', async () => {
+    browser.network.respond('/share-target/s1', () => new Response('', { status: 404 }));
+
+    assert.equal(await tab.optimizer.getSharedContent('s1'), null);
+  });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { FakeBrowser } = require('./page_harness.js');
+
+const HEARTBEAT_INTERVAL = 2000;
+const LEADER_TIMEOUT = 5000;
+
+function leaders(browser) {
+  return browser.tabs.filter(tab => tab.optimizer.isLeader());
+}
+
+// Names of the app events a tab uploaded, leaving out its own route and vitals reports
+function uploaded(transport) {
+  return Array.from(transport.batches)
+    .flatMap(batch => Array.from(batch.events))
+    .filter(event => event.type === 'event')
+    .map(event => event.name);
+}
+
+describe('tab coordination', () => {
+  describe('with Web Locks', () => {
+    it('elects the first tab and tells later tabs who leads', async () => {
+      const browser = new FakeBrowser();
+      const first = browser.openTab();
+      await browser.settle();
+      const second = browser.openTab();
+      await browser.settle();
+
+      assert.deepEqual(leaders(browser), [first]);
+      assert.equal(second.optimizer.tabs.hasOtherLeader(), true);
+      assert.equal(second.optimizer.tabs.leaderId, first.optimizer.tabs.tabId);
+    });
+
+    it('hands leadership to a waiting tab when the leader closes', async () => {
+      const browser = new FakeBrowser();
+      const first = browser.openTab();
+      const second = browser.openTab();
+      await browser.settle();
+
+      const changes = [];
+      second.window.addEventListener('carenow:tab-leader', event => changes.push(event.detail.leader));
+      let ranAsLeader = false;
+      second.optimizer.tabs.whenLeader(() => { ranAsLeader = true; });
+
+      first.close();
+      await browser.settle();
+
+      assert.deepEqual(leaders(browser), [second]);
+      assert.deepEqual(changes, [true]);
+      assert.equal(ranAsLeader, true);
+    });
+  });
+
+  describe('without Web Locks', () => {
+    it('elects one tab by heartbeats', async () => {
+      const browser = new FakeBrowser({ locks: false });
+      browser.openTab();
+      browser.openTab();
+      browser.openTab();
+
+      await browser.clock.advance(HEARTBEAT_INTERVAL * 3);
+
+      assert.equal(leaders(browser).length, 1);
+    });
+
+    it('keeps the lowest tab id when two tabs claim at once', async () => {
+      const browser = new FakeBrowser({ locks: false });
+      const [first, second] = [browser.openTab(), browser.openTab()];
+      first.optimizer.tabs.tabId = 'b';
+      second.optimizer.tabs.tabId = 'a';
+
+      first.optimizer.tabs.becomeLeader();
+      second.optimizer.tabs.becomeLeader();
+      await browser.settle();
+
+      assert.deepEqual(leaders(browser), [second]);
+      assert.equal(first.optimizer.tabs.leaderId, 'a');
+    });
+
+    it('fails over once the leader stops sending heartbeats', async () => {
+      const browser = new FakeBrowser({ locks: false });
+      browser.openTab();
+      await browser.clock.advance(HEARTBEAT_INTERVAL);
+      const [leader] = leaders(browser);
+      const follower = browser.openTab();
+      await browser.clock.advance(HEARTBEAT_INTERVAL * 2);
+      assert.equal(follower.optimizer.isLeader(), false);
+
+      // A crashed tab sends no resign, so only the missing heartbeats tell
+      leader.channels.forEach(channel => channel.close());
+      leader.timers.forEach(id => browser.clock.clearTimeout(id));
+      browser.tabs = browser.tabs.filter(tab => tab !== leader);
+      await browser.clock.advance(LEADER_TIMEOUT + HEARTBEAT_INTERVAL);
+
+      assert.deepEqual(leaders(browser), [follower]);
+    });
+  });
+
+  it('leads alone without Web Locks or BroadcastChannel', async () => {
+    const browser = new FakeBrowser({ locks: false, broadcastChannel: false });
+    const tab = browser.openTab();
+    await browser.settle();
+
+    assert.equal(tab.optimizer.isLeader(), true);
+  });
+
+  describe('telemetry forwarding', () => {
+    it('uploads events from other tabs once, from the leader only', async () => {
+      const browser = new FakeBrowser();
+      const tabs = [browser.openTab(), browser.openTab(), browser.openTab()];
+      await browser.settle();
+      const transports = tabs.map(tab => tab.captureTelemetry());
+
+      tabs[1].optimizer.telemetry.record('event', 'booking_created', 1);
+      tabs[2].optimizer.telemetry.record('event', 'job_accepted', 1);
+      await tabs[1].optimizer.telemetry.flush();
+      await tabs[2].optimizer.telemetry.flush();
+      await browser.settle();
+      await tabs[0].optimizer.telemetry.flush();
+
+      assert.deepEqual(uploaded(transports[0]).sort(), ['booking_created', 'job_accepted']);
+      assert.deepEqual(uploaded(transports[1]), []);
+      assert.deepEqual(uploaded(transports[2]), []);
+      assert.equal(transports[0].batches[0].events
+        .find(event => event.name === 'booking_created').sessionId, tabs[1].optimizer.telemetry.sessionId);
+    });
+
+    // Heartbeats cross in flight, so both tabs lead until the tie-break arrives
+    async function splitLeadership(claimingTabId) {
+      const browser = new FakeBrowser({ locks: false });
+      const leader = browser.openTab();
+      await browser.clock.advance(HEARTBEAT_INTERVAL);
+      const [claiming, follower] = [browser.openTab(), browser.openTab()];
+      await browser.settle();
+      const transports = [leader, claiming].map(tab => tab.captureTelemetry());
+
+      claiming.optimizer.tabs.tabId = claimingTabId(leader.optimizer.tabs.tabId);
+      claiming.optimizer.tabs.becomeLeader();
+      follower.optimizer.telemetry.record('event', 'booking_created', 1);
+      await follower.optimizer.telemetry.flush();
+      await browser.settle();
+
+      return { browser, leader, claiming, follower, transports };
+    }
+
+    // Twice, so events a tab passed on get uploaded too
+    async function flushAll(browser) {
+      for (let round = 0; round < 2; round++) {
+        for (const tab of browser.tabs) {
+          await tab.optimizer.telemetry.flush();
+          await browser.settle();
+        }
+      }
+    }
+
+    it('uploads events once while two tabs briefly claim leadership', async () => {
+      const { browser, leader, transports } = await splitLeadership(leaderId => `${leaderId}~`);
+      await flushAll(browser);
+
+      assert.deepEqual(leaders(browser), [leader]);
+      assert.deepEqual(transports.flatMap(uploaded), ['booking_created']);
+    });
+
+    it('passes on events that reach a leader after it resigned', async () => {
+      const { browser, claiming, follower, transports } = await splitLeadership(() => '0');
+      await flushAll(browser);
+
+      assert.deepEqual(leaders(browser), [claiming]);
+      assert.deepEqual(transports.flatMap(uploaded), ['booking_created']);
+      assert.equal(transports[1].batches[0].events[0].sessionId, follower.optimizer.telemetry.sessionId);
+    });
+
+    it('uploads the closing leader\'s events itself', async () => {
+      const browser = new FakeBrowser();
+      const [leader, follower] = [browser.openTab(), browser.openTab()];
+      await browser.settle();
+      const transports = [leader, follower].map(tab => tab.captureTelemetry());
+
+      leader.optimizer.telemetry.record('event', 'booking_created', 1);
+      leader.close();
+      await browser.settle();
+      await follower.optimizer.telemetry.flush();
+
+      assert.deepEqual(uploaded(transports[0]), ['booking_created']);
+      assert.deepEqual(uploaded(transports[1]), []);
+    });
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * Runs web/web_optimizer.js in vm contexts, one per tab, for tests of the
+ * page side. Tabs opened from the same FakeBrowser share a clock, a
+ * network, a BroadcastChannel bus and, unless disabled, a Web Locks manager. Browser
+ * features the tests do not need (service workers, IntersectionObserver)
+ * are left out, as in a browser without them.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { ORIGIN, FakeClock, FakeNetwork, flush } = require('./fake_worker_scope.js');
+
+const WEB_DIR = path.join(__dirname, '..', '..', 'web');
+const SOURCE = fs.readFileSync(path.join(WEB_DIR, 'web_optimizer.js'), 'utf8');
+
+const DEFAULT_RUNTIME_CONFIG = {
+  environment: 'production',
+  version: 'v-test',
+  commit: null,
+  telemetry: { endpoint: null, sampleRate: 1 },
+  features: { serviceWorker: true, backgroundSync: true, bookingReminders: true, verboseLogging: false }
+};
+
+// Messages arrive as a task, never on the posting channel itself
+class FakeBroadcastChannel {
+  constructor(bus, name) {
+    this.bus = bus;
+    this.name = name;
+    this.onmessage = null;
+    this.closed = false;
+    bus.add(this);
+  }
+
+  postMessage(message) {
+    if (this.closed) throw new Error('BroadcastChannel is closed');
+
+    const data = structuredClone(message);
+    this.bus.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => setImmediate(() => {
+        if (!channel.closed && channel.onmessage) channel.onmessage({ data });
+      }));
+  }
+
+  close() {
+    this.closed = true;
+    this.bus.delete(this);
+  }
+}
+
+class FakeBroadcastBus {
+  constructor() {
+    this.channels = [];
+  }
+
+  add(channel) {
+    this.channels.push(channel);
+  }
+
+  delete(channel) {
+    this.channels = this.channels.filter(item => item !== channel);
+  }
+}
+
+// Exclusive locks granted in request order; a closed tab's locks go to the next waiter
+class FakeLockManager {
+  constructor() {
+    this.held = new Map();
+    this.waiting = [];
+  }
+
+  forTab(tab) {
+    return { request: (name, callback) => this.request(tab, name, callback) };
+  }
+
+  request(tab, name, callback) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ tab, name, callback, resolve, reject });
+      this.grant();
+    });
+  }
+
+  grant() {
+    this.waiting.slice().forEach(request => {
+      if (this.held.has(request.name)) return;
+
+      this.waiting = this.waiting.filter(item => item !== request);
+      this.held.set(request.name, request);
+      Promise.resolve()
+        .then(() => request.callback({ name: request.name }))
+        .then(request.resolve, request.reject)
+        .finally(() => this.release(request));
+    });
+  }
+
+  release(request) {
+    if (this.held.get(request.name) !== request) return;
+
+    this.held.delete(request.name);
+    this.grant();
+  }
+
+  // The browser frees a tab's locks when the tab goes away
+  releaseTab(tab) {
+    this.waiting = this.waiting.filter(request => request.tab !== tab);
+    Array.from(this.held.values())
+      .filter(request => request.tab === tab)
+      .forEach(request => this.release(request));
+  }
+}
+
+// Entries are delivered by the test, or taken with takeRecords()
+class FakePerformance {
+  constructor(clock) {
+    this.clock = clock;
+    this.timeOrigin = clock.now();
+    this.observers = [];
+  }
+
+  now() {
+    return this.clock.now() - this.timeOrigin;
+  }
+
+  measure() {}
+
+  getEntriesByName() {
+    return [];
+  }
+
+  // Queue an entry for the observers of its type, delivered on the next flush
+  emit(entry) {
+    this.observers
+      .filter(observer => observer.type === entry.entryType)
+      .forEach(observer => observer.enqueue(entry));
+  }
+
+  createObserverClass(supportedEntryTypes) {
+    const performance = this;
+
+    return class PerformanceObserver {
+      static get supportedEntryTypes() {
+        return supportedEntryTypes;
+      }
+
+      constructor(callback) {
+        this.callback = callback;
+        this.records = [];
+        this.type = null;
+      }
+
+      observe({ type }) {
+        this.type = type;
+        performance.observers.push(this);
+      }
+
+      enqueue(entry) {
+        this.records.push(entry);
+        if (this.records.length === 1) {
+          setImmediate(() => {
+            const entries = this.takeRecords();
+            if (entries.length > 0) this.callback({ getEntries: () => entries });
+          });
+        }
+      }
+
+      takeRecords() {
+        return this.records.splice(0, this.records.length);
+      }
+
+      disconnect() {
+        performance.observers = performance.observers.filter(item => item !== this);
+      }
+    };
+  }
+}
+
+class FakeStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+function fakeElement(tagName) {
+  return {
+    tagName: tagName.toUpperCase(),
+    style: {},
+    dataset: {},
+    attributes: {},
+    setAttribute(name, value) { this.attributes[name] = value; },
+    getAttribute(name) { return this.attributes[name] || null; },
+    appendChild(child) { return child; },
+    addEventListener() {}
+  };
+}
+
+function fakeDate(clock) {
+  return class extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [clock.now()]));
+    }
+
+    static now() {
+      return clock.now();
+    }
+  };
+}
+
+class FakeBrowser {
+  constructor({ locks = true, broadcastChannel = true, supportedEntryTypes = [] } = {}) {
+    this.clock = new FakeClock();
+    this.network = new FakeNetwork();
+    this.bus = broadcastChannel ? new FakeBroadcastBus() : null;
+    this.locks = locks ? new FakeLockManager() : null;
+    this.supportedEntryTypes = supportedEntryTypes;
+    this.tabs = [];
+  }
+
+  // Load web_optimizer.js in a new tab
+  openTab({ url = `${ORIGIN}/#/client`, runtimeConfig = {}, sampled = true } = {}) {
+    const tab = new FakeTab(this, { url, runtimeConfig, sampled });
+    this.tabs.push(tab);
+    return tab;
+  }
+
+  // Let channel messages, lock grants and promise chains run
+  async settle() {
+    for (let i = 0; i < 5; i++) {
+      await flush();
+    }
+  }
+}
+
+class FakeTab {
+  constructor(browser, { url, runtimeConfig, sampled }) {
+    const clock = browser.clock;
+    const windowTarget = new EventTarget();
+    const documentTarget = new EventTarget();
+    const timers = new Set();
+    const location = new URL(url);
+    const tab = this;
+
+    this.browser = browser;
+    this.timers = timers;
+    this.channels = [];
+    this.performance = new FakePerformance(clock);
+    this.sessionStorage = new FakeStorage();
+    this.sessionStorage.setItem('carenow-session-sampled', String(sampled));
+    this.closed = false;
+
+    const document = {
+      readyState: 'complete',
+      visibilityState: 'visible',
+      body: fakeElement('body'),
+      head: fakeElement('head'),
+      documentElement: fakeElement('html'),
+      createElement: fakeElement,
+      querySelectorAll: () => [],
+      addEventListener: documentTarget.addEventListener.bind(documentTarget),
+      removeEventListener: documentTarget.removeEventListener.bind(documentTarget),
+      dispatchEvent: documentTarget.dispatchEvent.bind(documentTarget)
+    };
+
+    const history = {
+      pushState: (state, title, next) => { this.navigateUrl(next); },
+      replaceState: (state, title, next) => { this.navigateUrl(next); }
+    };
+
+    const track = id => {
+      timers.add(id);
+      return id;
+    };
+
+    const context = {
+      console: { log() {}, info() {}, debug() {}, warn() {}, error() {} },
+      CARENOW_RUNTIME_CONFIG: {
+        ...DEFAULT_RUNTIME_CONFIG,
+        ...runtimeConfig,
+        features: { ...DEFAULT_RUNTIME_CONFIG.features, ...runtimeConfig.features }
+      },
+      URL, URLSearchParams, Blob, File,
+      Event, EventTarget, CustomEvent,
+      Date: fakeDate(clock),
+      setTimeout: (callback, delay) => track(clock.setTimeout(callback, delay)),
+      clearTimeout: id => clock.clearTimeout(id),
+      setInterval: (callback, delay) => track(clock.setInterval(callback, delay)),
+      clearInterval: id => clock.clearInterval(id),
+      requestAnimationFrame: callback => track(clock.setTimeout(() => callback(this.performance.now()), 16)),
+      PerformanceObserver: this.performance.createObserverClass(browser.supportedEntryTypes),
+      performance: this.performance,
+      location,
+      history,
+      document,
+      navigator: {
+        onLine: true,
+        ...(browser.locks ? { locks: browser.locks.forTab(this) } : {})
+      },
+      sessionStorage: this.sessionStorage,
+      localStorage: new FakeStorage(),
+      crypto: globalThis.crypto,
+      fetch: (input, init) => browser.network.fetch(new Request(new URL(input, location.href).href, init)),
+      addEventListener: windowTarget.addEventListener.bind(windowTarget),
+      removeEventListener: windowTarget.removeEventListener.bind(windowTarget),
+      dispatchEvent: windowTarget.dispatchEvent.bind(windowTarget)
+    };
+    if (browser.bus) {
+      context.BroadcastChannel = class extends FakeBroadcastChannel {
+        constructor(name) {
+          super(browser.bus, name);
+          tab.channels.push(this);
+        }
+      };
+    }
+    context.window = context;
+    context.self = context;
+
+    this.window = context;
+    this.document = document;
+
+    vm.createContext(context);
+    vm.runInContext(SOURCE, context, { filename: 'web_optimizer.js' });
+
+    this.optimizer = context.CareNowOptimizer;
+    this.telemetryClasses = context.CareNowTelemetry;
+  }
+
+  // Capture what this tab uploads, as the tests' telemetry collector
+  captureTelemetry() {
+    const transport = new this.telemetryClasses.MemoryTransport();
+    this.optimizer.telemetry.addTransport(transport);
+    return transport;
+  }
+
+  navigateUrl(next) {
+    const url = new URL(next, this.window.location.href);
+    this.window.location.hash = url.hash;
+  }
+
+  setVisibility(state) {
+    this.document.visibilityState = state;
+    this.document.dispatchEvent(new Event('visibilitychange'));
+  }
+
+  // Hide and unload the tab, then drop its channels, locks and timers
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.setVisibility('hidden');
+    this.window.dispatchEvent(new Event('pagehide'));
+
+    this.channels.forEach(channel => channel.close());
+    this.timers.forEach(id => this.browser.clock.clearTimeout(id));
+    if (this.browser.locks) this.browser.locks.releaseTab(this);
+    this.browser.tabs = this.browser.tabs.filter(item => item !== this);
+  }
+}
+
+module.exports = { FakeBrowser, ORIGIN };
@@ -0,0 +1,271 @@
+/**
+ * Runs web/sw.js in a vm context backed by the fakes in fake_worker_scope.js
+ * and fake_indexeddb.js, for tests of the worker's own event handlers
+ * (notifications, reminders, outbox, user purge) rather than the modules in
+ * web/sw/. Timers and Date.now() follow a FakeClock.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const {
+  ORIGIN,
+  FakeCacheStorage,
+  FakeClients,
+  FakeClock,
+  FakeNetwork,
+  flush
+} = require('./fake_worker_scope.js');
+const { FakeIndexedDB } = require('./fake_indexeddb.js');
+
+const WEB_DIR = path.join(__dirname, '..', '..', 'web');
+
+const DEFAULT_RUNTIME_CONFIG = {
+  environment: 'production',
+  version: 'v-test',
+  commit: null,
+  features: { serviceWorker: true, backgroundSync: true, bookingReminders: true, verboseLogging: false },
+  reminders: { leadTimeMinutes: 60, periodicSyncMinutes: 720 }
+};
+
+class FakeNotification {
+  constructor(registration, title, options = {}) {
+    this.registration = registration;
+    this.title = title;
+    this.tag = options.tag || '';
+    this.data = options.data;
+    this.body = options.body;
+    this.actions = options.actions || [];
+    this.showTrigger = options.showTrigger;
+  }
+
+  close() {
+    this.registration.notifications = this.registration.notifications.filter(item => item !== this);
+  }
+}
+
+class FakePushSubscription {
+  constructor(pushManager, endpoint) {
+    this.pushManager = pushManager;
+    this.endpoint = endpoint;
+    this.expirationTime = null;
+  }
+
+  async unsubscribe() {
+    this.pushManager.subscription = null;
+    return true;
+  }
+
+  toJSON() {
+    return { endpoint: this.endpoint };
+  }
+}
+
+class FakePushManager {
+  constructor() {
+    this.subscription = null;
+  }
+
+  subscribe(endpoint = 'https://push.test/subscription') {
+    this.subscription = new FakePushSubscription(this, endpoint);
+    return this.subscription;
+  }
+
+  async getSubscription() {
+    return this.subscription;
+  }
+
+  async permissionState() {
+    return 'granted';
+  }
+}
+
+class FakeRegistration {
+  constructor(scope) {
+    this.scope = scope;
+    this.notifications = [];
+    this.pushManager = new FakePushManager();
+    this.syncTags = [];
+    this.sync = { register: async tag => { this.syncTags.push(tag); } };
+  }
+
+  async showNotification(title, options) {
+    // Replacing by tag, like browsers do
+    const notification = new FakeNotification(this, title, options);
+    this.notifications = this.notifications
+      .filter(item => !notification.tag || item.tag !== notification.tag)
+      .concat(notification);
+  }
+
+  async getNotifications({ tag } = {}) {
+    return this.notifications.filter(item => !tag || item.tag === tag);
+  }
+
+  async unregister() {
+    return true;
+  }
+}
+
+// Node's MessagePorts keep the process alive once they listen, so replies
+// between the worker and FakeClients go through these instead
+class FakeMessagePort {
+  constructor() {
+    this.other = null;
+    this.onmessage = null;
+  }
+
+  postMessage(data) {
+    const target = this.other;
+    Promise.resolve().then(() => {
+      if (target.onmessage) target.onmessage({ data });
+    });
+  }
+}
+
+class FakeMessageChannel {
+  constructor() {
+    this.port1 = new FakeMessagePort();
+    this.port2 = new FakeMessagePort();
+    this.port1.other = this.port2;
+    this.port2.other = this.port1;
+  }
+}
+
+// Date whose clock is the FakeClock, so due times can be tested
+function fakeDate(clock) {
+  return class extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [clock.now()]));
+    }
+
+    static now() {
+      return clock.now();
+    }
+  };
+}
+
+// Pass the caches and indexedDB of an earlier worker to test a restart
+function loadServiceWorker({
+  runtimeConfig = {},
+  swConfig = null,
+  timestampTrigger = false,
+  caches = new FakeCacheStorage(),
+  indexedDB = new FakeIndexedDB()
+} = {}) {
+  const clock = new FakeClock();
+  const network = new FakeNetwork();
+  const clients = new FakeClients();
+  const registration = new FakeRegistration(`${ORIGIN}/`);
+  const listeners = {};
+
+  const config = {
+    ...DEFAULT_RUNTIME_CONFIG,
+    ...runtimeConfig,
+    features: { ...DEFAULT_RUNTIME_CONFIG.features, ...runtimeConfig.features }
+  };
+
+  const context = {
+    console: { log() {}, info() {}, debug() {}, warn() {}, error() {} },
+    CARENOW_RUNTIME_CONFIG: config,
+    CARENOW_SW_CONFIG: swConfig || undefined,
+    URL, URLSearchParams, Request, Response, Headers, FormData, Blob, File,
+    TextEncoder, AbortController,
+    MessageChannel: FakeMessageChannel,
+    crypto: globalThis.crypto,
+    Date: fakeDate(clock),
+    setTimeout: (callback, delay) => clock.setTimeout(callback, delay),
+    clearTimeout: id => clock.clearTimeout(id),
+    setInterval: () => 0,
+    clearInterval() {},
+    location: new URL('/sw.js', ORIGIN),
+    navigator: { onLine: true },
+    caches,
+    clients,
+    registration,
+    indexedDB,
+    fetch: (input, init) => network.fetch(input instanceof Request ? input : new Request(new URL(input, ORIGIN).href, init)),
+    skipWaiting: async () => { context.skippedWaiting = true; },
+    addEventListener: (type, listener) => {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    importScripts: (...files) => {
+      files
+        .filter(file => file.startsWith('sw/'))
+        .forEach(file => vm.runInContext(fs.readFileSync(path.join(WEB_DIR, file), 'utf8'), context, { filename: file }));
+    }
+  };
+  if (timestampTrigger) {
+    context.TimestampTrigger = class {
+      constructor(timestamp) {
+        this.timestamp = timestamp;
+      }
+    };
+  }
+  context.self = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(WEB_DIR, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+
+  // Let pending IndexedDB work and promise chains finish
+  async function settle() {
+    for (let quiet = 0; quiet < 3;) {
+      await flush();
+      quiet = indexedDB.pending === 0 ? quiet + 1 : 0;
+    }
+  }
+
+  // Fire an event at the worker and wait for everything it passed to waitUntil()
+  async function dispatch(type, init = {}) {
+    const pending = [];
+    let response;
+    const event = {
+      type,
+      ports: [],
+      ...init,
+      waitUntil: promise => pending.push(promise),
+      respondWith: promise => { response = promise; }
+    };
+
+    (listeners[type] || []).forEach(listener => listener(event));
+    const settled = await Promise.allSettled(pending);
+    await settle();
+
+    const failure = settled.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+
+    return { event, response: response && await response };
+  }
+
+  // Post a message to the worker; resolves with the reply on ports[0], if any
+  async function message(data, { source = null } = {}) {
+    let reply;
+    const port = { postMessage: value => { reply = value; } };
+
+    await dispatch('message', { data, ports: [port], source });
+    return reply;
+  }
+
+  function database() {
+    return indexedDB.database('carenow-sw');
+  }
+
+  return {
+    self: context,
+    clock,
+    network,
+    clients,
+    caches,
+    registration,
+    indexedDB,
+    database,
+    settle,
+    dispatch,
+    message,
+    ready: settle()
+  };
+}
+
+module.exports = { loadServiceWorker, FakeNotification };
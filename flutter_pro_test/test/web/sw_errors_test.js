@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { ORIGIN } = require('./fake_worker_scope.js');
+
+describe('service worker error forwarding', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker();
+    await worker.ready;
+  });
+
+  function errorReports(client) {
+    return client.messages.filter(message => message.type === 'SW_ERROR');
+  }
+
+  it('sends each error to one tab so it is reported once', async () => {
+    const hidden = worker.clients.add({ url: `${ORIGIN}/#/client`, visibilityState: 'hidden' });
+    const visible = worker.clients.add({ url: `${ORIGIN}/#/client/services`, visibilityState: 'visible' });
+
+    worker.self.reportError('Background sync failed', new Error('boom'));
+    await worker.settle();
+
+    assert.equal(errorReports(hidden).length, 0);
+    assert.equal(errorReports(visible).length, 1);
+    assert.equal(errorReports(visible)[0].error.message, 'boom');
+  });
+
+  it('falls back to a hidden tab when none is visible', async () => {
+    const hidden = worker.clients.add({ url: `${ORIGIN}/#/client`, visibilityState: 'hidden' });
+
+    worker.self.reportError('Background sync failed', new Error('boom'));
+    await worker.settle();
+
+    assert.equal(errorReports(hidden).length, 1);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { request } = require('./fake_worker_scope.js');
+
+const SW_CONFIG = {
+  version: 'test',
+  precache: [],
+  routes: [{
+    name: 'images',
+    pattern: '\\.png$',
+    strategy: 'stale-while-revalidate',
+    maxAge: 604800000,
+    maxEntries: 100,
+    networkTimeout: null,
+    revalidateAfter: 0,
+    cacheName: 'images',
+    broadcastUpdates: false,
+    userScoped: false
+  }]
+};
+
+describe('service worker network quality', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker({ swConfig: SW_CONFIG });
+    await worker.ready;
+    worker.network.respond('/assets/logo.png', new Response('logo'));
+    await fetchLogo();
+  });
+
+  async function fetchLogo() {
+    await worker.dispatch('fetch', { request: request('/assets/logo.png') });
+  }
+
+  it('revalidates cached copies on a normal connection', async () => {
+    await fetchLogo();
+
+    assert.equal(worker.network.count('/assets/logo.png'), 2);
+  });
+
+  it('serves cached copies without revalidating in lite mode', async () => {
+    await worker.message({ type: 'NETWORK_QUALITY', lite: true, effectiveType: '2g' });
+
+    await fetchLogo();
+
+    assert.equal(worker.network.count('/assets/logo.png'), 1);
+  });
+
+  it('stays in lite mode after the browser restarted the worker', async () => {
+    await worker.message({ type: 'NETWORK_QUALITY', lite: true, effectiveType: '2g' });
+
+    worker = loadServiceWorker({ swConfig: SW_CONFIG, caches: worker.caches, indexedDB: worker.indexedDB });
+    worker.network.respond('/assets/logo.png', new Response('logo'));
+    await fetchLogo();
+
+    assert.equal(worker.network.count('/assets/logo.png'), 0);
+  });
+
+  it('skips revalidation when the worker itself sees Save-Data', async () => {
+    worker.self.navigator.connection = { saveData: true, effectiveType: '4g' };
+
+    await fetchLogo();
+
+    assert.equal(worker.network.count('/assets/logo.png'), 1);
+  });
+});
@@ -0,0 +1,216 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { ORIGIN } = require('./fake_worker_scope.js');
+
+function pushData(payload) {
+  return {
+    json: () => payload,
+    text: () => JSON.stringify(payload)
+  };
+}
+
+describe('service worker notifications', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker();
+    await worker.ready;
+  });
+
+  async function push(payload) {
+    await worker.dispatch('push', { data: pushData(payload) });
+    return worker.registration.notifications[worker.registration.notifications.length - 1];
+  }
+
+  function click(notification, action = '') {
+    return worker.dispatch('notificationclick', { action, notification });
+  }
+
+  describe('push parsing', () => {
+    it('flattens FCM messages onto the notification', async () => {
+      const notification = await push({
+        fcmMessageId: 'm1',
+        notification: { title: 'Booking confirmed', body: 'See you at 10:00' },
+        data: { type: 'booking_confirmed', bookingId: 'b1', notificationId: 'n1' }
+      });
+
+      assert.equal(notification.title, 'Booking confirmed');
+      assert.equal(notification.body, 'See you at 10:00');
+      assert.equal(notification.data.id, 'n1');
+      assert.equal(notification.data.type, 'booking_confirmed');
+      assert.equal(notification.data.payload.bookingId, 'b1');
+      assert.equal(notification.data.route, '/client/booking-tracking/b1');
+    });
+
+    it('decodes JSON-encoded FCM data', async () => {
+      const notification = await push({
+        from: '1234',
+        data: { data: JSON.stringify({ type: 'job_started', jobId: 'j1' }) }
+      });
+
+      assert.equal(notification.title, 'Job started');
+      assert.equal(notification.data.payload.jobId, 'j1');
+    });
+
+    it('shows plain text pushes as the body', async () => {
+      await worker.dispatch('push', {
+        data: { json: () => { throw new SyntaxError('Unexpected token'); }, text: () => 'Hello' }
+      });
+
+      const [notification] = worker.registration.notifications;
+      assert.equal(notification.title, 'CareNow');
+      assert.equal(notification.body, 'Hello');
+      assert.equal(notification.data.type, 'general');
+    });
+
+    it('hands pushes to a visible app instead of showing them', async () => {
+      const client = worker.clients.add({ url: `${ORIGIN}/#/client`, visibilityState: 'visible' });
+
+      await push({ type: 'booking_confirmed', bookingId: 'b1' });
+
+      assert.deepEqual(worker.registration.notifications, []);
+      assert.equal(client.messages[0].type, 'PUSH_RECEIVED');
+      assert.equal(client.messages[0].notification.data.bookingId, 'b1');
+    });
+  });
+
+  describe('simulated pushes', () => {
+    const SIMULATED = { type: 'SIMULATE_PUSH', payload: { type: 'special_offer', body: '10% off' } };
+
+    it('are ignored in production builds', async () => {
+      await worker.message(SIMULATED);
+
+      assert.deepEqual(worker.registration.notifications, []);
+    });
+
+    it('are shown in development builds', async () => {
+      worker = loadServiceWorker({ runtimeConfig: { environment: 'development' } });
+      await worker.ready;
+
+      await worker.message(SIMULATED);
+
+      assert.equal(worker.registration.notifications[0].title, 'Special offer');
+    });
+  });
+
+  describe('clicks', () => {
+    it('opens booking notifications on the hash route of the booking', async () => {
+      const notification = await push({ type: 'booking_confirmed', bookingId: 'b1' });
+
+      await click(notification);
+
+      assert.deepEqual(worker.clients.opened, [`${ORIGIN}/#/client/booking-tracking/b1`]);
+    });
+
+    it('opens job notifications on the partner job screen', async () => {
+      const notification = await push({ type: 'job_started', jobId: 'j1' });
+
+      await click(notification);
+
+      assert.deepEqual(worker.clients.opened, [`${ORIGIN}/#/partner/job-details/j1`]);
+    });
+
+    it('keeps hash routes from FCM links', async () => {
+      const notification = await push({
+        notification: { title: 'Offer', body: '10% off' },
+        fcmOptions: { link: `${ORIGIN}/#/client/services` },
+        data: { type: 'special_offer' }
+      });
+
+      await click(notification);
+
+      assert.deepEqual(worker.clients.opened, [`${ORIGIN}/#/client/services`]);
+    });
+
+    it('routes an open window instead of opening another', async () => {
+      const notification = await push({ type: 'booking_started', bookingId: 'b2' });
+      const client = worker.clients.add({ url: `${ORIGIN}/#/client`, visibilityState: 'hidden' });
+
+      await click(notification);
+
+      assert.deepEqual(worker.clients.opened, []);
+      assert.equal(client.url, `${ORIGIN}/#/client/booking-tracking/b2`);
+      assert.equal(client.focused, true);
+      assert.equal(client.messages[0].type, 'NOTIFICATION_CLICK');
+      assert.equal(client.messages[0].route, '/client/booking-tracking/b2');
+    });
+
+    it('still focuses an open window that cannot be navigated', async () => {
+      const notification = await push({ type: 'booking_started', bookingId: 'b2' });
+      const client = worker.clients.add({ url: `${ORIGIN}/#/client`, visibilityState: 'hidden' });
+      client.navigate = async () => { throw new TypeError('Client is not controlled'); };
+
+      await click(notification);
+
+      assert.deepEqual(worker.clients.opened, []);
+      assert.equal(client.focused, true);
+      assert.equal(client.messages[0].route, '/client/booking-tracking/b2');
+    });
+  });
+
+  describe('snooze', () => {
+    const SNOOZE_DELAY = 10 * 60 * 1000;
+
+    async function snooze() {
+      const notification = await push({ type: 'booking_reminder', bookingId: 'b1' });
+      await click(notification, 'snooze_reminder');
+      return notification;
+    }
+
+    it('stores the snooze and shows it from the first reminder check after it is due', async () => {
+      const notification = await snooze();
+
+      assert.deepEqual(worker.registration.notifications, []);
+      assert.equal(worker.database().dump('snoozed-reminders')[0].dueAt, worker.clock.now() + SNOOZE_DELAY);
+
+      await worker.clock.advance(SNOOZE_DELAY - 1000);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+      assert.deepEqual(worker.registration.notifications, []);
+
+      await worker.clock.advance(1000);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+      assert.deepEqual(worker.registration.notifications.map(shown => shown.tag), [notification.tag]);
+      assert.deepEqual(worker.database().dump('snoozed-reminders'), []);
+    });
+
+    it('drops a snooze the worker only saw after its booking started', async () => {
+      const startsAt = worker.clock.now() + 30 * 60 * 1000;
+      const notification = await push({
+        type: 'booking_reminder',
+        bookingId: 'b1',
+        data: { startsAt: new Date(startsAt).toISOString() }
+      });
+      await click(notification, 'snooze_reminder');
+
+      await worker.clock.advance(45 * 60 * 1000);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+
+      assert.deepEqual(worker.registration.notifications, []);
+      assert.deepEqual(worker.database().dump('snoozed-reminders'), []);
+    });
+
+    it('drops a snooze that ran out more than a lead time ago', async () => {
+      await snooze();
+
+      await worker.clock.advance(SNOOZE_DELAY + 61 * 60 * 1000);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+
+      assert.deepEqual(worker.registration.notifications, []);
+      assert.deepEqual(worker.database().dump('snoozed-reminders'), []);
+    });
+
+    it('schedules the snooze with a notification trigger where supported', async () => {
+      worker = loadServiceWorker({ timestampTrigger: true });
+      await worker.ready;
+
+      await snooze();
+
+      assert.equal(worker.registration.notifications[0].showTrigger.timestamp, worker.clock.now() + SNOOZE_DELAY);
+      assert.deepEqual(worker.database().dump('snoozed-reminders'), []);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { ORIGIN, request } = require('./fake_worker_scope.js');
+
+describe('service worker outbox', () => {
+  let worker;
+  let sent;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker();
+    await worker.ready;
+    sent = [];
+  });
+
+  // Answers /api/bookings with the given statuses in turn, recording what was sent
+  function respondWith(...statuses) {
+    worker.network.respond('/api/bookings', async req => {
+      sent.push({ authorization: req.headers.get('authorization'), body: await req.text() });
+      return new Response('{}', { status: statuses.shift() || 200 });
+    });
+  }
+
+  async function queueBooking() {
+    worker.network.offline = true;
+    const { response } = await worker.dispatch('fetch', {
+      request: request('/api/bookings', {
+        method: 'POST',
+        headers: { Authorization: 'Bearer expired', 'Content-Type': 'application/json' },
+        body: '{"serviceId":"s1"}'
+      })
+    });
+    worker.network.offline = false;
+    return response;
+  }
+
+  function outbox() {
+    return worker.database().dump('outbox');
+  }
+
+  function statuses(client) {
+    return client.messages.filter(message => message.type === 'OUTBOX_STATUS').map(message => message.status);
+  }
+
+  it('queues mutations while offline and replays them on sync', async () => {
+    const client = worker.clients.add({ url: `${ORIGIN}/#/client/booking` });
+    respondWith(201);
+
+    const response = await queueBooking();
+    assert.equal(response.status, 202);
+    assert.equal(response.headers.get('X-Outbox-Queued'), 'true');
+    assert.deepEqual(worker.registration.syncTags, ['background-sync']);
+
+    await worker.dispatch('sync', { tag: 'background-sync', lastChance: false });
+
+    assert.deepEqual(sent.map(item => item.body), ['{"serviceId":"s1"}']);
+    assert.deepEqual(outbox(), []);
+    assert.deepEqual(statuses(client), ['queued', 'replayed']);
+  });
+
+  it('backs off after server errors and keeps the entry', async () => {
+    respondWith(503);
+    await queueBooking();
+
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+
+    const [entry] = outbox();
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, 'HTTP 503');
+    assert.equal(entry.nextAttemptAt, worker.clock.now() + 30 * 1000);
+  });
+
+  it('drops entries the server rejects', async () => {
+    respondWith(422);
+    await queueBooking();
+
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+
+    assert.deepEqual(outbox(), []);
+  });
+
+  // A tab that answers token requests with the given Authorization header
+  function addTab(authorization) {
+    const client = worker.clients.add({ url: `${ORIGIN}/#/client/booking` });
+    client.onmessage = (message, ports) => {
+      if (message.type === 'OUTBOX_AUTH_REQUIRED') ports[0].postMessage({ authorization });
+    };
+    return client;
+  }
+
+  it('retries with a fresh token from an open page after a 401', async () => {
+    const client = addTab('Bearer fresh');
+    respondWith(401, 201);
+    await queueBooking();
+
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+
+    assert.deepEqual(sent.map(item => item.authorization), ['Bearer expired', 'Bearer fresh']);
+    assert.deepEqual(outbox(), []);
+    assert.deepEqual(statuses(client), ['queued', 'replayed']);
+  });
+
+  it('sets entries aside until a page can supply a token', async () => {
+    const client = addTab(null);
+    respondWith(401);
+    await queueBooking();
+
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+
+    const [entry] = outbox();
+    assert.equal(entry.authRequired, true);
+    assert.equal(entry.authAttempts, 1);
+    assert.equal(entry.headers.authorization, 'Bearer expired');
+    assert.deepEqual(statuses(client), ['queued', 'auth-required']);
+  });
+
+  it('sends new mutations while an entry waits for a token', async () => {
+    const client = addTab(null);
+    respondWith(401, 201, 201);
+    await queueBooking();
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+    const tokenRequests = client.messages.filter(message => message.type === 'OUTBOX_AUTH_REQUIRED').length;
+
+    const { response } = await worker.dispatch('fetch', {
+      request: request('/api/bookings', { method: 'POST', headers: { Authorization: 'Bearer current' }, body: '{}' })
+    });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(sent.map(item => item.authorization), ['Bearer expired', 'Bearer current']);
+    assert.equal(outbox().length, 1);
+    assert.equal(client.messages.filter(message => message.type === 'OUTBOX_AUTH_REQUIRED').length, tokenRequests);
+  });
+
+  it('fails entries after repeated replays without a token', async () => {
+    const client = addTab(null);
+    respondWith(401, 401, 401);
+    await queueBooking();
+
+    for (let replay = 0; replay < 3; replay++) {
+      await worker.message({ type: 'REPLAY_OUTBOX' });
+    }
+
+    assert.deepEqual(outbox(), []);
+    assert.deepEqual(statuses(client), ['queued', 'auth-required', 'auth-required', 'failed']);
+  });
+
+  it('fails entries still rejected with a fresh token', async () => {
+    const client = addTab('Bearer fresh');
+    respondWith(401, 401);
+    await queueBooking();
+
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+
+    assert.deepEqual(outbox(), []);
+    assert.deepEqual(statuses(client), ['queued', 'failed']);
+  });
+
+  it('fails forbidden entries without asking for a token', async () => {
+    const client = addTab('Bearer fresh');
+    respondWith(403);
+    await queueBooking();
+
+    await worker.message({ type: 'REPLAY_OUTBOX' });
+
+    assert.deepEqual(outbox(), []);
+    assert.deepEqual(statuses(client), ['queued', 'failed']);
+    assert.equal(client.messages.some(message => message.type === 'OUTBOX_AUTH_REQUIRED'), false);
+  });
+});
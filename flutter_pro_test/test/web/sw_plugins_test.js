@@ -0,0 +1,246 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { createStrategy } = require('../../web/sw/strategies.js');
+const {
+  MemoryMetadataStore,
+  ExpirationPlugin,
+  CacheableResponsePlugin,
+  BroadcastUpdatePlugin,
+  parseCacheControl
+} = require('../../web/sw/plugins.js');
+const { FakeEvent, createWorkerScope, request, silentLogger } = require('./fake_worker_scope.js');
+
+const CACHE_NAME = 'carenow-test-api-v1';
+
+describe('service worker plugins', () => {
+  let scope;
+  let store;
+
+  function strategy(name, plugins, options = {}) {
+    return createStrategy(name, {
+      cacheName: CACHE_NAME,
+      scope: scope,
+      logger: silentLogger,
+      plugins: plugins,
+      ...options
+    });
+  }
+
+  async function cachedUrls() {
+    const cache = await scope.caches.open(CACHE_NAME);
+    return (await cache.keys()).map(key => new URL(key.url).pathname).sort();
+  }
+
+  beforeEach(() => {
+    scope = createWorkerScope();
+    store = new MemoryMetadataStore();
+  });
+
+  describe('ExpirationPlugin', () => {
+    it('treats copies without metadata as expired only when maxAge is set', () => {
+      const now = scope.now();
+
+      assert.equal(new ExpirationPlugin({ store }).isExpired(null, now), false);
+      assert.equal(new ExpirationPlugin({ maxAge: 1000, store }).isExpired(null, now), true);
+      assert.equal(new ExpirationPlugin({ maxAge: 1000, store }).isExpired({ storedAt: now - 500 }, now), false);
+      assert.equal(new ExpirationPlugin({ maxAge: 1000, store }).isExpired({ storedAt: now - 1500 }, now), true);
+    });
+
+    it('requires a metadata store', () => {
+      assert.throws(() => new ExpirationPlugin({ maxAge: 1000 }), /metadata store/);
+    });
+
+    it('records storedAt when a response is cached', async () => {
+      scope.network.respond('/api/a', new Response('a', { headers: { 'Content-Length': '1' } }));
+
+      await strategy('network-first', [new ExpirationPlugin({ store })]).handle({ request: request('/api/a') });
+
+      const metadata = await store.get(CACHE_NAME, request('/api/a').url);
+      assert.equal(metadata.storedAt, scope.now());
+      assert.equal(metadata.size, 1);
+    });
+
+    it('evicts the least recently used entries above maxEntries', async () => {
+      const cacheFirst = strategy('cache-first', [new ExpirationPlugin({ maxEntries: 2, store, logger: silentLogger })]);
+      ['/api/a', '/api/b', '/api/c'].forEach(path => scope.network.respond(path, new Response(path)));
+
+      await cacheFirst.handle({ request: request('/api/a') });
+      await scope.clock.advance(1000);
+      await cacheFirst.handle({ request: request('/api/b') });
+      await scope.clock.advance(1000);
+      // A hit makes /api/a the most recently used
+      await cacheFirst.handle({ request: request('/api/a') });
+      await scope.clock.advance(1000);
+      await cacheFirst.handle({ request: request('/api/c') });
+
+      assert.deepEqual(await cachedUrls(), ['/api/a', '/api/c']);
+      assert.equal(await store.get(CACHE_NAME, request('/api/b').url), null);
+    });
+
+    it('drops expired entries when the cache is updated', async () => {
+      const plugin = new ExpirationPlugin({ maxAge: 60000, store });
+      const networkFirst = strategy('network-first', [plugin]);
+      scope.network.respond('/api/a', new Response('a'));
+      scope.network.respond('/api/b', new Response('b'));
+
+      await networkFirst.handle({ request: request('/api/a') });
+      await scope.clock.advance(120000);
+      await networkFirst.handle({ request: request('/api/b') });
+
+      assert.deepEqual(await cachedUrls(), ['/api/b']);
+      assert.deepEqual((await store.getAll(CACHE_NAME)).map(entry => entry.url), [request('/api/b').url]);
+    });
+  });
+
+  describe('CacheableResponsePlugin', () => {
+    it('only stores the listed statuses', async () => {
+      scope.network.respond('/api/ok', new Response('ok'));
+      scope.network.respond('/api/partial', new Response('partial', { status: 203 }));
+      const networkFirst = strategy('network-first', [new CacheableResponsePlugin({ statuses: [200] })]);
+
+      await networkFirst.handle({ request: request('/api/ok') });
+      const response = await networkFirst.handle({ request: request('/api/partial') });
+
+      assert.equal(response.status, 203);
+      assert.deepEqual(await cachedUrls(), ['/api/ok']);
+    });
+
+    it('never stores no-store, private or Vary: * responses', async () => {
+      const plugin = new CacheableResponsePlugin();
+      const cacheWillUpdate = (headers, init) => plugin.cacheWillUpdate({
+        request: request('/api/a', init),
+        response: new Response('a', { headers })
+      });
+
+      assert.equal(cacheWillUpdate({ 'Cache-Control': 'no-store' }), null);
+      assert.equal(cacheWillUpdate({ 'Cache-Control': 'max-age=60, private' }), null);
+      assert.equal(cacheWillUpdate({ Vary: '*' }), null);
+      assert.equal(cacheWillUpdate({}, { headers: { 'Cache-Control': 'no-store' } }), null);
+      assert.ok(cacheWillUpdate({ 'Cache-Control': 'max-age=60', Vary: 'Accept' }));
+    });
+
+    it('keeps authorized responses out of shared caches unless marked public', () => {
+      const authorized = () => request('/api/a', { headers: { Authorization: 'Bearer token' } });
+      const shared = new CacheableResponsePlugin({ shared: true });
+
+      assert.equal(shared.cacheWillUpdate({ request: authorized(), response: new Response('a') }), null);
+      assert.ok(shared.cacheWillUpdate({
+        request: authorized(),
+        response: new Response('a', { headers: { 'Cache-Control': 'public, max-age=60' } })
+      }));
+      assert.ok(new CacheableResponsePlugin().cacheWillUpdate({ request: authorized(), response: new Response('a') }));
+    });
+
+    it('parses Cache-Control directives', () => {
+      assert.deepEqual(parseCacheControl('Public, max-age=60 ,no-cache'), {
+        public: true,
+        'max-age': '60',
+        'no-cache': true
+      });
+      assert.deepEqual(parseCacheControl(null), {});
+    });
+
+    it('stops later plugins from seeing rejected responses', async () => {
+      const expiration = new ExpirationPlugin({ store });
+      scope.network.respond('/api/partial', new Response('partial', { status: 203 }));
+
+      await strategy('network-first', [new CacheableResponsePlugin(), expiration])
+        .handle({ request: request('/api/partial') });
+
+      assert.deepEqual(await store.getAll(), []);
+    });
+  });
+
+  describe('BroadcastUpdatePlugin', () => {
+    let client;
+
+    beforeEach(() => {
+      client = scope.clients.add();
+    });
+
+    function etagResponse(body, etag) {
+      return new Response(body, { headers: { ETag: etag } });
+    }
+
+    it('tells pages when revalidation changed the cached copy', async () => {
+      const swr = strategy('stale-while-revalidate', [new BroadcastUpdatePlugin({ routeName: 'api' })]);
+
+      scope.network.respond('/api/a', etagResponse('v1', '"1"'));
+      await swr.handle({ request: request('/api/a') });
+      assert.equal(client.messages.length, 0);
+
+      scope.network.respond('/api/a', etagResponse('v2', '"2"'));
+      const event = new FakeEvent();
+      await swr.handle({ request: request('/api/a'), event });
+      await event.settled();
+
+      assert.deepEqual(client.messages, [{
+        type: 'CACHE_UPDATED',
+        cacheName: 'api',
+        url: request('/api/a').url,
+        updatedAt: scope.now()
+      }]);
+    });
+
+    it('stays quiet when the validators match', async () => {
+      const swr = strategy('stale-while-revalidate', [new BroadcastUpdatePlugin({ routeName: 'api' })]);
+      scope.network.respond('/api/a', etagResponse('v1', '"1"'));
+
+      await swr.handle({ request: request('/api/a') });
+      const event = new FakeEvent();
+      await swr.handle({ request: request('/api/a'), event });
+      await event.settled();
+
+      assert.equal(client.messages.length, 0);
+    });
+
+    it('refreshes copies served stale while offline once the network is back', async () => {
+      const broadcast = new BroadcastUpdatePlugin({ routeName: 'api' });
+      const networkFirst = strategy('network-first', [broadcast]);
+      scope.network.respond('/api/a', etagResponse('v1', '"1"'));
+      await networkFirst.handle({ request: request('/api/a') });
+
+      scope.network.offline = true;
+      await networkFirst.handle({ request: request('/api/a') });
+      await broadcast.refreshStale();
+      assert.equal(broadcast.staleServed.size, 1);
+
+      scope.network.offline = false;
+      await broadcast.refreshStale();
+
+      assert.equal(broadcast.staleServed.size, 0);
+      assert.equal(client.messages.length, 1);
+      assert.equal(client.messages[0].url, request('/api/a').url);
+    });
+
+    it('notifies after a timed-out request finishes in the background', async () => {
+      const broadcast = new BroadcastUpdatePlugin({ routeName: 'api' });
+      const networkFirst = strategy('network-first', [broadcast], { networkTimeout: 1000 });
+      scope.network.respond('/api/a', etagResponse('v1', '"1"'));
+      await networkFirst.handle({ request: request('/api/a') });
+
+      const release = scope.network.defer('/api/a');
+      const event = new FakeEvent();
+      const pending = networkFirst.handle({ request: request('/api/a'), event });
+      await scope.clock.advance(1000);
+      await pending;
+
+      release('v1 again');
+      await event.settled();
+
+      assert.equal(client.messages.length, 1);
+    });
+
+    it('forgets stale copies on clear()', async () => {
+      const broadcast = new BroadcastUpdatePlugin({ routeName: 'api' });
+      broadcast.cachedResponseServedStale({ request: request('/api/a'), strategy: null });
+
+      broadcast.clear();
+
+      assert.equal(broadcast.staleServed.size, 0);
+    });
+  });
+});
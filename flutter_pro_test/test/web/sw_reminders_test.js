@@ -0,0 +1,147 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { ORIGIN } = require('./fake_worker_scope.js');
+
+const MINUTE = 60 * 1000;
+
+describe('service worker booking reminders', () => {
+  let worker;
+
+  function startWorker(options) {
+    worker = loadServiceWorker(options);
+    return worker.ready;
+  }
+
+  // Upcoming bookings starting the given number of minutes from now
+  function upcoming(bookings) {
+    const body = JSON.stringify(bookings.map(booking => ({
+      id: booking.id,
+      status: booking.status || 'confirmed',
+      serviceName: 'Home care',
+      startsAt: new Date(worker.clock.now() + booking.inMinutes * MINUTE).toISOString()
+    })));
+
+    worker.network.respond('/api/bookings/upcoming', () => new Response(body));
+  }
+
+  function enable() {
+    return worker.message({ type: 'BOOKING_REMINDERS', userId: 'u1', leadTimeMinutes: 60 });
+  }
+
+  function shownTags() {
+    return worker.registration.notifications.map(notification => notification.tag);
+  }
+
+  describe('without notification triggers', () => {
+    beforeEach(() => startWorker());
+
+    it('shows reminders once they are within the lead time', async () => {
+      upcoming([{ id: 'soon', inMinutes: 30 }, { id: 'later', inMinutes: 180 }]);
+
+      const reply = await enable();
+
+      assert.equal(reply.enabled, true);
+      assert.deepEqual(shownTags(), ['booking-soon']);
+    });
+
+    it('picks up later reminders on the next check after they are due', async () => {
+      upcoming([{ id: 'later', inMinutes: 180 }]);
+      await enable();
+
+      await worker.clock.advance(110 * MINUTE);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+      assert.deepEqual(shownTags(), []);
+
+      await worker.clock.advance(20 * MINUTE);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+      assert.deepEqual(shownTags(), ['booking-later']);
+    });
+
+    it('skips bookings that are cancelled or have started', async () => {
+      upcoming([
+        { id: 'cancelled', inMinutes: 30, status: 'cancelled' },
+        { id: 'started', inMinutes: -5 }
+      ]);
+
+      await enable();
+
+      assert.deepEqual(shownTags(), []);
+    });
+
+    it('shows each reminder once', async () => {
+      upcoming([{ id: 'soon', inMinutes: 30 }]);
+      await enable();
+      worker.registration.notifications = [];
+
+      await worker.clock.advance(20 * MINUTE);
+      await worker.message({ type: 'CHECK_BOOKING_REMINDERS' });
+
+      assert.deepEqual(shownTags(), []);
+    });
+
+    it('does not repeat reminders already delivered by push', async () => {
+      upcoming([{ id: 'b1', inMinutes: 30 }]);
+      await worker.dispatch('push', {
+        data: { json: () => ({ type: 'booking_reminder', bookingId: 'b1', body: 'Starts soon' }) }
+      });
+
+      await enable();
+
+      assert.equal(worker.registration.notifications.length, 1);
+      assert.equal(worker.registration.notifications[0].body, 'Starts soon');
+    });
+  });
+
+  describe('upcoming bookings requests', () => {
+    let authorizations;
+
+    beforeEach(async () => {
+      await startWorker();
+      authorizations = [];
+      worker.network.respond('/api/bookings/upcoming', request => {
+        authorizations.push(request.headers.get('authorization'));
+        return new Response('[]');
+      });
+    });
+
+    it('authorizes with a token from an open page', async () => {
+      const client = worker.clients.add({ url: `${ORIGIN}/#/client` });
+      client.onmessage = (message, ports) => {
+        if (message.type === 'AUTHORIZATION_REQUEST') ports[0].postMessage({ authorization: 'Bearer fresh' });
+      };
+
+      await enable();
+
+      assert.deepEqual(authorizations, ['Bearer fresh']);
+    });
+
+    it('keeps the stored bookings when a sync without pages is refused', async () => {
+      upcoming([{ id: 'later', inMinutes: 90 }]);
+      await enable();
+      worker.network.respond('/api/bookings/upcoming', () => new Response('', { status: 401 }));
+
+      await worker.clock.advance(40 * MINUTE);
+      await worker.dispatch('periodicsync', { tag: 'booking-reminders' });
+
+      assert.deepEqual(shownTags(), ['booking-later']);
+    });
+  });
+
+  describe('with notification triggers', () => {
+    beforeEach(() => startWorker({ timestampTrigger: true }));
+
+    it('schedules reminders for the lead time before the booking', async () => {
+      upcoming([{ id: 'later', inMinutes: 180 }]);
+
+      await enable();
+
+      const [notification] = worker.registration.notifications;
+      assert.equal(notification.tag, 'booking-later');
+      assert.equal(notification.showTrigger.timestamp, worker.clock.now() + 120 * MINUTE);
+    });
+  });
+});
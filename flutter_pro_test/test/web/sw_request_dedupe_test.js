@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { request } = require('./fake_worker_scope.js');
+
+describe('service worker request deduplication', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker();
+    await worker.ready;
+  });
+
+  // Starts both fetches before the network answers
+  async function fetchTogether(first, second) {
+    const release = worker.network.defer('/api/services');
+    const responses = [first, second].map(req => worker.dispatch('fetch', { request: req }));
+    await worker.settle();
+
+    release('[]');
+    await Promise.all(responses);
+    return worker.network.count('/api/services');
+  }
+
+  it('shares one fetch between identical GET requests', async () => {
+    const count = await fetchTogether(request('/api/services'), request('/api/services'));
+
+    assert.equal(count, 1);
+  });
+
+  it('fetches separately when the Accept header differs', async () => {
+    const count = await fetchTogether(
+      request('/api/services', { headers: { Accept: 'application/json' } }),
+      request('/api/services', { headers: { Accept: 'text/csv' } })
+    );
+
+    assert.equal(count, 2);
+  });
+
+  it('never shares range requests', async () => {
+    const count = await fetchTogether(
+      request('/api/services', { headers: { Range: 'bytes=0-99' } }),
+      request('/api/services', { headers: { Range: 'bytes=0-99' } })
+    );
+
+    assert.equal(count, 2);
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { Router } = require('../../web/sw/router.js');
+const { routes: ROUTES } = require('../../web/sw-routes.json');
+const { request } = require('./fake_worker_scope.js');
+
+// Answers with its own name so tests can see which route ran
+function namedHandler(name) {
+  return {
+    handle: async ({ request: handled }) => new Response(`${name} ${new URL(handled.url).pathname}`)
+  };
+}
+
+async function handledBy(router, req) {
+  const response = await router.handleRequest({ request: req });
+  return response ? (await response.text()).split(' ')[0] : undefined;
+}
+
+describe('service worker router', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new Router();
+  });
+
+  it('matches regular expressions against the full URL', async () => {
+    router.registerRoute(/\/api\//, namedHandler('api'));
+
+    assert.equal(await handledBy(router, request('/api/bookings')), 'api');
+    assert.equal(await handledBy(router, request('/main.dart.js')), undefined);
+  });
+
+  it('matches with functions given the request and parsed URL', async () => {
+    router.registerRoute(({ url }) => url.pathname.endsWith('.png'), namedHandler('images'));
+
+    assert.equal(await handledBy(router, request('/icons/Icon-192.png')), 'images');
+  });
+
+  it('uses the first matching route', async () => {
+    router.registerRoute(/\/api\/bookings/, namedHandler('bookings'));
+    router.registerRoute(/\/api\//, namedHandler('api'));
+
+    assert.equal(await handledBy(router, request('/api/bookings/1')), 'bookings');
+    assert.equal(await handledBy(router, request('/api/services')), 'api');
+  });
+
+  it('falls back to the default handler for unmatched GET requests only', async () => {
+    router.setDefaultHandler(namedHandler('default'));
+
+    assert.equal(await handledBy(router, request('/anything')), 'default');
+    assert.equal(await handledBy(router, request('/anything', { method: 'POST' })), undefined);
+  });
+
+  it('only matches the route method', async () => {
+    router.registerRoute(/\/api\//, namedHandler('upload'), 'PUT');
+
+    assert.equal(await handledBy(router, request('/api/photos', { method: 'PUT' })), 'upload');
+    assert.equal(await handledBy(router, request('/api/photos')), undefined);
+  });
+
+  it('rejects matchers that are neither RegExps nor functions', () => {
+    assert.throws(() => router.registerRoute('/api/', namedHandler('api')), /RegExp or a function/);
+  });
+
+  describe('sw-routes.json', () => {
+    beforeEach(() => {
+      ROUTES.forEach(route => router.registerRoute(new RegExp(route.pattern), namedHandler(route.name)));
+    });
+
+    it('keeps API responses in the user-scoped routes whatever their extension', async () => {
+      assert.equal(await handledBy(router, request('/api/users/me/avatar.png')), 'api');
+      assert.equal(await handledBy(router, request('/api/reports/summary.js')), 'api');
+      assert.equal(await handledBy(router, request('/api/bookings/b1/receipt.jpg')), 'bookings');
+    });
+
+    it('routes static files by extension', async () => {
+      assert.equal(await handledBy(router, request('/icons/Icon-192.png')), 'images');
+      assert.equal(await handledBy(router, request('/main.dart.js')), 'static');
+    });
+  });
+});
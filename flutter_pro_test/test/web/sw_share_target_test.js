@@ -0,0 +1,49 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { ORIGIN, request } = require('./fake_worker_scope.js');
+
+describe('service worker share target', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker();
+    await worker.ready;
+  });
+
+  function share(fields) {
+    const body = new FormData();
+    Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+
+    return worker.dispatch('fetch', { request: request('/share-target', { method: 'POST', body }) });
+  }
+
+  it('redirects to the booking screen hash route with the share id', async () => {
+    const { response } = await share({
+      title: 'Living room',
+      photos: new File(['jpeg bytes'], 'room.jpg', { type: 'image/jpeg' })
+    });
+
+    assert.equal(response.status, 303);
+    const location = new URL(response.headers.get('Location'));
+    assert.equal(`${location.origin}${location.pathname}`, `${ORIGIN}/`);
+    assert.match(location.hash, /^#\/client\/booking\?shareId=[^&]+$/);
+
+    const shareId = new URLSearchParams(location.hash.split('?')[1]).get('shareId');
+    const { response: staged } = await worker.dispatch('fetch', { request: request(`/share-target/${shareId}`) });
+    const item = await staged.json();
+    assert.equal(item.title, 'Living room');
+    assert.equal(item.files.length, 1);
+  });
+
+  it('reports oversized shares in the hash route', async () => {
+    const photo = new File([new Uint8Array(26 * 1024 * 1024)], 'huge.jpg', { type: 'image/jpeg' });
+
+    const { response } = await share({ photos: photo });
+
+    assert.equal(response.headers.get('Location'), `${ORIGIN}/#/client/booking?shareError=too-large`);
+  });
+});
@@ -0,0 +1,294 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const {
+  createStrategy,
+  registerStrategy,
+  Strategy,
+  CacheFirst,
+  NetworkFirst,
+  StaleWhileRevalidate
+} = require('../../web/sw/strategies.js');
+const { ExpirationPlugin, MemoryMetadataStore } = require('../../web/sw/plugins.js');
+const { FakeEvent, createWorkerScope, flush, request, silentLogger } = require('./fake_worker_scope.js');
+
+const CACHE_NAME = 'carenow-test-runtime-v1';
+const URL_PATH = '/api/services';
+
+describe('service worker strategies', () => {
+  let scope;
+  let store;
+
+  function strategy(name, options = {}) {
+    return createStrategy(name, {
+      cacheName: CACHE_NAME,
+      scope: scope,
+      logger: silentLogger,
+      plugins: [new ExpirationPlugin({ maxAge: options.maxAge || 0, store, logger: silentLogger })],
+      ...options
+    });
+  }
+
+  async function seed(body, storedAt = scope.now()) {
+    const cache = await scope.caches.open(CACHE_NAME);
+    await cache.put(request(URL_PATH), new Response(body));
+    await store.put({ cacheName: CACHE_NAME, url: request(URL_PATH).url, storedAt, lastAccessed: storedAt, size: 0 });
+  }
+
+  async function cachedBody() {
+    const cache = await scope.caches.open(CACHE_NAME);
+    const response = await cache.match(request(URL_PATH));
+    return response ? response.text() : undefined;
+  }
+
+  beforeEach(() => {
+    scope = createWorkerScope();
+    store = new MemoryMetadataStore();
+  });
+
+  describe('cache-first', () => {
+    it('fetches and caches a miss', async () => {
+      scope.network.respond(URL_PATH, new Response('fresh'));
+
+      const response = await strategy('cache-first').handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'fresh');
+      assert.equal(await cachedBody(), 'fresh');
+    });
+
+    it('serves a hit without touching the network', async () => {
+      await seed('cached');
+
+      const response = await strategy('cache-first').handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'cached');
+      assert.equal(response.headers.get('X-Cache-Status'), 'hit');
+      assert.equal(response.headers.get('X-Cached-At'), new Date(scope.now()).toISOString());
+      assert.equal(scope.network.count(URL_PATH), 0);
+    });
+
+    it('refetches an expired copy and falls back to it when offline', async () => {
+      await seed('old', scope.now() - 120000);
+      const cacheFirst = strategy('cache-first', { maxAge: 60000 });
+
+      scope.network.respond(URL_PATH, new Response('new'));
+      assert.equal(await (await cacheFirst.handle({ request: request(URL_PATH) })).text(), 'new');
+
+      await seed('old', scope.now() - 120000);
+      scope.network.offline = true;
+      const response = await cacheFirst.handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'old');
+      assert.equal(response.headers.get('X-Cache-Status'), 'stale');
+    });
+
+    it('answers with the offline response when there is nothing cached', async () => {
+      const response = await strategy('cache-first').handle({ request: request(URL_PATH) });
+
+      assert.equal(response.status, 503);
+      assert.equal(response.headers.get('X-Offline'), 'true');
+    });
+
+    it('does not cache error responses', async () => {
+      scope.network.respond(URL_PATH, new Response('broken', { status: 500 }));
+
+      const response = await strategy('cache-first').handle({ request: request(URL_PATH) });
+
+      assert.equal(response.status, 500);
+      assert.equal(await cachedBody(), undefined);
+    });
+  });
+
+  describe('network-first', () => {
+    it('prefers the network and updates the cache', async () => {
+      await seed('old');
+      scope.network.respond(URL_PATH, new Response('new'));
+
+      const response = await strategy('network-first').handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'new');
+      assert.equal(await cachedBody(), 'new');
+    });
+
+    it('falls back to the cache when the network is down', async () => {
+      await seed('cached');
+      scope.network.offline = true;
+
+      const response = await strategy('network-first').handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'cached');
+      assert.equal(response.headers.get('X-Cache-Status'), 'stale');
+    });
+
+    it('serves the cache after the timeout and keeps the request going', async () => {
+      await seed('cached');
+      const release = scope.network.defer(URL_PATH);
+      const event = new FakeEvent();
+
+      const pending = strategy('network-first', { networkTimeout: 3000 })
+        .handle({ request: request(URL_PATH), event });
+      await scope.clock.advance(3000);
+      const response = await pending;
+
+      assert.equal(await response.text(), 'cached');
+      assert.equal(response.headers.get('X-Cache-Status'), 'stale');
+
+      release('late');
+      await event.settled();
+      assert.equal(await cachedBody(), 'late');
+    });
+
+    it('keeps waiting past the timeout when there is nothing cached', async () => {
+      const release = scope.network.defer(URL_PATH);
+      let settled = false;
+
+      const pending = strategy('network-first', { networkTimeout: () => 1000 })
+        .handle({ request: request(URL_PATH) })
+        .then(response => {
+          settled = true;
+          return response;
+        });
+      await scope.clock.advance(5000);
+      assert.equal(settled, false);
+
+      release('slow');
+      assert.equal(await (await pending).text(), 'slow');
+    });
+
+    it('ignores an expired copy when offline', async () => {
+      await seed('expired', scope.now() - 120000);
+      scope.network.offline = true;
+
+      const response = await strategy('network-first', { maxAge: 60000 }).handle({ request: request(URL_PATH) });
+
+      assert.equal(response.status, 503);
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    it('serves the cached copy and revalidates in the background', async () => {
+      await seed('cached', scope.now() - 60000);
+      scope.network.respond(URL_PATH, new Response('revalidated'));
+      const event = new FakeEvent();
+
+      const response = await strategy('stale-while-revalidate').handle({ request: request(URL_PATH), event });
+
+      assert.equal(await response.text(), 'cached');
+      await event.settled();
+      assert.equal(await cachedBody(), 'revalidated');
+    });
+
+    it('skips revalidation for recently stored copies', async () => {
+      await seed('cached', scope.now() - 1000);
+
+      await strategy('stale-while-revalidate', { revalidateAfter: 60000 }).handle({ request: request(URL_PATH) });
+      await flush();
+
+      assert.equal(scope.network.count(URL_PATH), 0);
+    });
+
+    it('skips revalidation while skipRevalidation() says so', async () => {
+      await seed('cached', scope.now() - 600000);
+
+      await strategy('stale-while-revalidate', { skipRevalidation: () => true }).handle({ request: request(URL_PATH) });
+      await flush();
+
+      assert.equal(scope.network.count(URL_PATH), 0);
+    });
+
+    it('waits for the network on a miss', async () => {
+      scope.network.respond(URL_PATH, new Response('fresh'));
+
+      const response = await strategy('stale-while-revalidate').handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'fresh');
+    });
+
+    it('serves an expired copy when the network is slower than the timeout', async () => {
+      await seed('expired', scope.now() - 120000);
+      scope.network.defer(URL_PATH);
+
+      const pending = strategy('stale-while-revalidate', { maxAge: 60000, networkTimeout: 2000 })
+        .handle({ request: request(URL_PATH) });
+      await scope.clock.advance(2000);
+      const response = await pending;
+
+      assert.equal(await response.text(), 'expired');
+      assert.equal(response.headers.get('X-Cache-Status'), 'stale');
+    });
+  });
+
+  describe('network-only and cache-only', () => {
+    it('network-only never reads or writes the cache', async () => {
+      await seed('cached');
+      scope.network.respond(URL_PATH, new Response('network'));
+
+      const response = await strategy('network-only').handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'network');
+      assert.equal(await cachedBody(), 'cached');
+    });
+
+    it('cache-only answers 404 for a miss', async () => {
+      const response = await strategy('cache-only').handle({ request: request(URL_PATH) });
+
+      assert.equal(response.status, 404);
+      assert.equal(scope.network.count(URL_PATH), 0);
+    });
+  });
+
+  describe('cache names', () => {
+    it('reads and writes the cache a cacheName function returns', async () => {
+      let cacheName = 'carenow-user-a-api-v1';
+      const networkFirst = strategy('network-first', { cacheName: () => cacheName });
+      scope.network.respond(URL_PATH, new Response('for a'));
+      await networkFirst.handle({ request: request(URL_PATH) });
+
+      cacheName = 'carenow-user-b-api-v1';
+      scope.network.offline = true;
+      const response = await networkFirst.handle({ request: request(URL_PATH) });
+
+      assert.equal(response.status, 503);
+      const cached = await (await scope.caches.open('carenow-user-a-api-v1')).match(request(URL_PATH));
+      assert.equal(await cached.text(), 'for a');
+    });
+
+    it('skips the cache while the cacheName function returns null', async () => {
+      await seed('cached');
+      scope.network.respond(URL_PATH, new Response('fresh'));
+
+      const response = await strategy('cache-first', { cacheName: () => null }).handle({ request: request(URL_PATH) });
+
+      assert.equal(await response.text(), 'fresh');
+      assert.equal(await cachedBody(), 'cached');
+    });
+  });
+
+  describe('registry', () => {
+    it('creates strategies by their sw-routes.json name', () => {
+      assert.ok(strategy('cache-first') instanceof CacheFirst);
+      assert.ok(strategy('network-first') instanceof NetworkFirst);
+      assert.ok(strategy('stale-while-revalidate') instanceof StaleWhileRevalidate);
+    });
+
+    it('rejects unknown names, including Object.prototype keys', () => {
+      assert.throws(() => strategy('cache-sometimes'), /Unknown caching strategy/);
+      assert.throws(() => strategy('toString'), /Unknown caching strategy/);
+    });
+
+    it('accepts custom strategies', async () => {
+      class Teapot extends Strategy {
+        async _handle() {
+          return new Response('short and stout', { status: 418 });
+        }
+      }
+      registerStrategy('teapot', Teapot);
+
+      const response = await strategy('teapot').handle({ request: request(URL_PATH) });
+
+      assert.equal(response.status, 418);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { ORIGIN, request } = require('./fake_worker_scope.js');
+
+describe('service worker updates', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker();
+    await worker.ready;
+    worker.clients.add({ url: `${ORIGIN}/#/client`, visibilityState: 'hidden' });
+  });
+
+  it('activates on an accepted update whatever the tabs show', async () => {
+    worker.clients.add({ url: `${ORIGIN}/#/client/services`, visibilityState: 'visible' });
+
+    await worker.message({ type: 'SKIP_WAITING' });
+
+    assert.equal(worker.self.skippedWaiting, true);
+  });
+
+  it('activates an idle update once every tab is hidden', async () => {
+    const reply = await worker.message({ type: 'SKIP_WAITING', reason: 'idle' });
+
+    assert.equal(reply.activated, true);
+    assert.equal(worker.self.skippedWaiting, true);
+  });
+
+  it('postpones an idle update while another tab is visible', async () => {
+    worker.clients.add({ url: `${ORIGIN}/#/client/services`, visibilityState: 'visible' });
+
+    const reply = await worker.message({ type: 'SKIP_WAITING', reason: 'idle' });
+
+    assert.equal(reply.activated, false);
+    assert.equal(worker.self.skippedWaiting, undefined);
+  });
+});
+
+describe('service worker runtime caches across deploys', () => {
+  function swConfig(version) {
+    return {
+      version: version,
+      precache: [],
+      routes: [{
+        name: 'static',
+        pattern: '\\.js$',
+        strategy: 'cache-first',
+        maxAge: 2592000000,
+        maxEntries: 60,
+        networkTimeout: null,
+        revalidateAfter: null,
+        cacheName: 'static',
+        broadcastUpdates: false,
+        userScoped: false
+      }]
+    };
+  }
+
+  it('drops static copies from the previous build when the app version is unchanged', async () => {
+    const runtimeConfig = { version: '1.0.0', commit: 'abc1234' };
+    const first = loadServiceWorker({ runtimeConfig, swConfig: swConfig('build-a') });
+    await first.ready;
+    first.network.respond('/assets/chunk.js', new Response('old'));
+    await first.dispatch('fetch', { request: request('/assets/chunk.js') });
+
+    const next = loadServiceWorker({
+      runtimeConfig: { ...runtimeConfig, commit: 'def5678' },
+      swConfig: swConfig('build-b'),
+      caches: first.caches,
+      indexedDB: first.indexedDB
+    });
+    await next.ready;
+    await next.dispatch('activate');
+    next.network.respond('/assets/chunk.js', new Response('new'));
+    const { response } = await next.dispatch('fetch', { request: request('/assets/chunk.js') });
+
+    assert.deepEqual(await next.caches.keys(), ['carenow-production-precache', 'carenow-production-static-build-b']);
+    assert.equal(await response.text(), 'new');
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach } = require('node:test');
+
+const { loadServiceWorker } = require('./service_worker_harness.js');
+const { request } = require('./fake_worker_scope.js');
+
+const SW_CONFIG = {
+  version: 'test',
+  precache: [],
+  routes: [{
+    name: 'bookings',
+    pattern: '/api/(?:bookings|(?:partner/)?jobs)(?:/|\\?|$)',
+    strategy: 'network-first',
+    maxAge: 604800000,
+    maxEntries: 100,
+    networkTimeout: 4000,
+    revalidateAfter: null,
+    cacheName: 'bookings',
+    broadcastUpdates: false,
+    userScoped: true
+  }]
+};
+
+describe('service worker user purge', () => {
+  let worker;
+
+  beforeEach(async () => {
+    worker = loadServiceWorker({ swConfig: SW_CONFIG });
+    await worker.ready;
+  });
+
+  async function userCaches() {
+    return (await worker.caches.keys()).filter(name => name.includes('-user-'));
+  }
+
+  function settings() {
+    return worker.database().dump('settings');
+  }
+
+  async function fetchBookings() {
+    worker.network.respond('/api/bookings', new Response('[]'));
+    await worker.dispatch('fetch', { request: request('/api/bookings') });
+  }
+
+  it('caches API responses per signed-in user', async () => {
+    const reply = await worker.message({ type: 'USER_CHANGED', userId: 'user-a' });
+    await fetchBookings();
+
+    assert.equal(reply.ok, true);
+    assert.deepEqual(await userCaches(), [`carenow-production-user-${reply.userHash}-bookings-test`]);
+    assert.deepEqual(settings(), [{ key: 'currentUser', value: reply.userHash }]);
+  });
+
+  it('drops caches, queued requests and the push subscription on logout', async () => {
+    await worker.message({ type: 'USER_CHANGED', userId: 'user-a' });
+    await fetchBookings();
+    worker.network.offline = true;
+    await worker.dispatch('fetch', {
+      request: request('/api/bookings', { method: 'POST', body: '{"serviceId":"s1"}' })
+    });
+    worker.registration.pushManager.subscribe();
+
+    const reply = await worker.message({ type: 'LOGOUT' });
+
+    assert.equal(reply.purged.outboxEntries, 1);
+    assert.equal(reply.purged.pushUnsubscribed, true);
+    assert.deepEqual(await userCaches(), []);
+    assert.deepEqual(worker.database().dump('outbox'), []);
+    assert.deepEqual(settings(), []);
+    assert.equal(worker.registration.pushManager.subscription, null);
+  });
+
+  it('keeps responses that land during the purge out of the old user cache', async () => {
+    await worker.message({ type: 'USER_CHANGED', userId: 'user-a' });
+    const release = worker.network.defer('/api/bookings');
+    const inFlight = worker.dispatch('fetch', { request: request('/api/bookings') });
+    await worker.settle();
+
+    // Land the response after the caches are deleted but before the purge ends
+    worker.registration.pushManager.getSubscription = async () => {
+      release('[]');
+      await worker.settle();
+      return null;
+    };
+    await worker.message({ type: 'LOGOUT' });
+    await inFlight;
+
+    assert.deepEqual(await userCaches(), []);
+  });
+
+  it('purges the signed-in user after the browser restarted the worker', async () => {
+    const { userHash } = await worker.message({ type: 'USER_CHANGED', userId: 'user-a' });
+    await fetchBookings();
+
+    worker = loadServiceWorker({ swConfig: SW_CONFIG, caches: worker.caches, indexedDB: worker.indexedDB });
+    const reply = await worker.message({ type: 'LOGOUT' });
+
+    assert.deepEqual(reply.purged.caches, [`carenow-production-user-${userHash}-bookings-test`]);
+    assert.deepEqual(await userCaches(), []);
+  });
+
+  it('purges the previous user on an account switch', async () => {
+    const first = await worker.message({ type: 'USER_CHANGED', userId: 'user-a' });
+    await fetchBookings();
+
+    const second = await worker.message({ type: 'USER_CHANGED', userId: 'user-b' });
+
+    assert.notEqual(second.userHash, first.userHash);
+    assert.deepEqual(second.purged.caches, [`carenow-production-user-${first.userHash}-bookings-test`]);
+    assert.deepEqual(await userCaches(), []);
+    assert.deepEqual(settings(), [{ key: 'currentUser', value: second.userHash }]);
+  });
+});
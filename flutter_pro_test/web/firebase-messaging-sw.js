@@ -0,0 +1,9 @@
+/**
+ * CareNow MVP - Firebase Cloud Messaging Service Worker
+ * firebase_messaging registers this file for its push scope. It reuses the
+ * push, notification and subscription handling from sw.js.
+ */
+
+self.CARENOW_SW_ROLE = 'messaging';
+
+importScripts('sw.js');
@@ -0,0 +1,92 @@
+// CareNow MVP - Flutter Bootstrap
+// Template for the build's flutter_bootstrap.js: flutter build web fills in
+// the placeholders below. Loads web_optimizer.js, drives the splash screen in
+// index.html and records startup marks that PerformanceMonitor reports.
+
+{{flutter_js}}
+{{flutter_build_config}}
+
+(function() {
+    'use strict';
+
+    const STAGES = {
+        loading: { progress: 0.2, label: 'Loading CareNow…' },
+        initializing: { progress: 0.6, label: 'Starting up…' },
+        running: { progress: 0.9, label: 'Almost there…' }
+    };
+
+    // Measured from navigation start, picked up by PerformanceMonitor's measure observer
+    function mark(name) {
+        if (!window.performance || !performance.mark) return;
+
+        try {
+            performance.mark(`carenow:${name}`);
+            performance.measure(`carenow:time-to-${name}`, { start: 0, end: `carenow:${name}` });
+        } catch (error) {
+            // Older browsers without the options form of measure()
+        }
+    }
+
+    function setStage(stage) {
+        const splash = document.getElementById('carenow-splash');
+        if (!splash) return;
+
+        splash.querySelector('.carenow-splash-bar').style.transform = `scaleX(${STAGES[stage].progress})`;
+        splash.querySelector('.carenow-splash-status').textContent = STAGES[stage].label;
+    }
+
+    function hideSplash() {
+        const splash = document.getElementById('carenow-splash');
+        if (!splash) return;
+
+        splash.classList.add('carenow-splash-hidden');
+        splash.addEventListener('transitionend', () => splash.remove(), { once: true });
+        // transitionend never fires with reduced motion or a hidden tab
+        setTimeout(() => splash.remove(), 1000);
+    }
+
+    function showStartupError(error) {
+        console.error('Flutter startup failed:', error);
+
+        const splash = document.getElementById('carenow-splash');
+        if (!splash) return;
+
+        splash.classList.add('carenow-splash-error');
+        splash.querySelector('.carenow-splash-status').textContent =
+            'CareNow could not start. Check your connection and reload.';
+    }
+
+    function loadOptimizer() {
+        const script = document.createElement('script');
+        script.src = 'web_optimizer.js';
+        script.async = true;
+        document.head.appendChild(script);
+    }
+
+    window.addEventListener('flutter-first-frame', () => {
+        mark('first-frame');
+        hideSplash();
+    }, { once: true });
+
+    loadOptimizer();
+    setStage('loading');
+
+    // No serviceWorkerSettings: sw.js replaces flutter_service_worker.js and is
+    // registered by web_optimizer.js once the first frame is on screen
+    _flutter.loader.load({
+        onEntrypointLoaded: async function(engineInitializer) {
+            try {
+                mark('entrypoint-loaded');
+                setStage('initializing');
+
+                const appRunner = await engineInitializer.initializeEngine();
+                mark('engine-init');
+                setStage('running');
+
+                await appRunner.runApp();
+            } catch (error) {
+                showStartupError(error);
+            }
+        }
+    }).catch(showStartupError);
+})();
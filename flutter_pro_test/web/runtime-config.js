@@ -0,0 +1,29 @@
+// Production defaults, so a build that skipped scripts/prepare_web_build.sh
+// still ships safe settings. Builds overwrite this file with
+// scripts/generate_runtime_config.js, see web/runtime-environments.json.
+self.CARENOW_RUNTIME_CONFIG = {
+  "environment": "production",
+  "version": "dev",
+  "commit": null,
+  "telemetry": {
+    "endpoint": null,
+    "sampleRate": 1
+  },
+  "errorReporting": {
+    "endpoint": null
+  },
+  "cache": {
+    "defaultMaxAgeSeconds": 86400,
+    "routes": {}
+  },
+  "reminders": {
+    "leadTimeMinutes": 60,
+    "periodicSyncMinutes": 720
+  },
+  "features": {
+    "serviceWorker": true,
+    "backgroundSync": true,
+    "bookingReminders": true,
+    "verboseLogging": false
+  }
+};
@@ -3,9 +3,71 @@
  * Implements advanced caching strategies for optimal performance
  */
 
-const CACHE_VERSION = 'v1.0.0';
-const CACHE_NAME = `carenow-cache-${CACHE_VERSION}`;
-const RUNTIME_CACHE = `carenow-runtime-${CACHE_VERSION}`;
+// Version, environment and feature switches shared with web_optimizer.js,
+// generated by scripts/generate_runtime_config.js
+try {
+  importScripts('runtime-config.js');
+} catch (error) {
+  console.warn('SW: runtime-config.js not found, using production defaults');
+}
+
+// Precache manifest and route config, generated by scripts/generate_sw_config.js.
+// Development builds run without it and only use the default route.
+try {
+  importScripts('sw-config.js');
+} catch (error) {
+  console.warn('SW: sw-config.js not found, precaching disabled');
+}
+
+// Router, caching strategies and plugins, shared with the Node tests in test/web/
+importScripts('sw/strategies.js', 'sw/plugins.js', 'sw/router.js');
+
+const {
+  Router,
+  createStrategy,
+  workerScope,
+  raceTimeout,
+  TIMED_OUT,
+  ExpirationPlugin,
+  CacheableResponsePlugin,
+  BroadcastUpdatePlugin,
+  deleteEntries
+} = self.CareNowSW;
+
+const RUNTIME_CONFIG = self.CARENOW_RUNTIME_CONFIG || {
+  environment: 'production',
+  version: 'v1.0.0',
+  commit: null
+};
+const FEATURES = {
+  serviceWorker: true,
+  backgroundSync: true,
+  bookingReminders: true,
+  verboseLogging: false,
+  ...RUNTIME_CONFIG.features
+};
+const SW_CONFIG = self.CARENOW_SW_CONFIG || { version: null, precache: [], routes: [] };
+
+// From the build config rather than the verbose logging toggle, which pages can flip
+const PUSH_SIMULATION_ENABLED = RUNTIME_CONFIG.environment === 'development' || Boolean(FEATURES.verboseLogging);
+
+// firebase-messaging-sw.js imports this file for the Firebase Cloud Messaging
+// push scope. That worker controls no pages, so it only handles push events.
+const IS_MESSAGING_WORKER = self.CARENOW_SW_ROLE === 'messaging';
+
+const APP_VERSION = RUNTIME_CONFIG.version;
+// Runtime caches hold unrevisioned copies of static files, so they must turn
+// over on every deploy. The pubspec version rarely changes; the build hash
+// changes with any precached file, runtime-config.js and its commit included.
+const CACHE_VERSION = SW_CONFIG.version || RUNTIME_CONFIG.commit || APP_VERSION;
+// The CacheManager cache in web_optimizer.js, which cannot see sw-config.js
+const PAGE_CACHE_VERSION = RUNTIME_CONFIG.commit || APP_VERSION;
+// Environments sharing an origin (preview channels, localhost) keep separate caches
+const CACHE_PREFIX = `carenow-${RUNTIME_CONFIG.environment}-`;
+// Must match the environments in web/runtime-environments.json
+const ENVIRONMENTS = ['development', 'staging', 'production'];
+// Precached entries are keyed by revision, so this cache survives deploys
+const PRECACHE_CACHE = `${CACHE_PREFIX}precache`;
 
 // Cache strategies
 const CACHE_STRATEGIES = {
@@ -16,94 +78,384 @@ const CACHE_STRATEGIES = {
   CACHE_ONLY: 'cache-only'
 };
 
-// Resource patterns and their caching strategies
-const CACHE_PATTERNS = [
-  {
-    pattern: /\.(?:png|jpg|jpeg|svg|gif|webp|ico)$/,
-    strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
-    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-    maxEntries: 100
+// Resource patterns and their caching strategies, from web/sw-routes.json
+const CACHE_PATTERNS = SW_CONFIG.routes.map(route => ({
+  ...route,
+  pattern: new RegExp(route.pattern),
+  cacheName: runtimeCacheName(route.cacheName)
+}));
+
+// Strategy for requests no route matches
+const DEFAULT_PATTERN = {
+  name: 'default',
+  strategy: CACHE_STRATEGIES.NETWORK_FIRST,
+  maxAge: ((RUNTIME_CONFIG.cache && RUNTIME_CONFIG.cache.defaultMaxAgeSeconds) || 24 * 60 * 60) * 1000,
+  maxEntries: 50,
+  networkTimeout: 5000,
+  cacheName: runtimeCacheName('runtime')
+};
+
+// Network timeouts before falling back to cache
+const NAVIGATION_TIMEOUT = 5000; // ms
+const NETWORK_TIMEOUT_SCALE = {
+  '4g': 1,
+  '3g': 1.5,
+  '2g': 2,
+  'slow-2g': 2.5
+};
+
+// Stale-while-revalidate skips the network for copies younger than this
+const DEFAULT_REVALIDATE_AFTER = 5 * 60 * 1000; // 5 minutes
+
+// Offline fallbacks for navigation requests, both precached
+const APP_SHELL_URL = '/index.html';
+const OFFLINE_PAGE_URL = '/offline.html';
+
+const API_PATTERN = /\/api\//;
+
+const WORKER_SCOPE = workerScope(self);
+
+// Absolute URL -> revisioned cache key for every precached file
+const PRECACHE_KEYS = new Map();
+SW_CONFIG.precache.forEach(entry => {
+  const url = new URL(entry.url, self.location.origin);
+  const key = `${url.href}?__rev=${entry.revision}`;
+
+  PRECACHE_KEYS.set(url.href, key);
+
+  // Firebase serves index.html for the site root
+  if (url.pathname === '/index.html') {
+    PRECACHE_KEYS.set(new URL('/', self.location.origin).href, key);
+  }
+});
+
+function runtimeCacheName(name, version = CACHE_VERSION) {
+  return `${CACHE_PREFIX}${name}-${version}`;
+}
+
+// Hashed id of the signed-in user, set by USER_CHANGED messages. userScoped
+// routes (bookings, profile, payments) are cached per user and not at all
+// while nobody is signed in, so a shared device never serves one user's data
+// to the next.
+let currentUserHash = null;
+
+function userCachePrefix(userHash) {
+  return `${CACHE_PREFIX}user-${userHash}-`;
+}
+
+function getRouteCacheName(pattern) {
+  if (!pattern.userScoped) return pattern.cacheName;
+  if (!currentUserHash) return null;
+
+  return pattern.cacheName.replace(CACHE_PREFIX, userCachePrefix(currentUserHash));
+}
+
+// Caches this version of the worker reads and writes, plus the page-side
+// CacheManager cache in web_optimizer.js
+function getCurrentCacheNames() {
+  return new Set([
+    PRECACHE_CACHE,
+    DEFAULT_PATTERN.cacheName,
+    runtimeCacheName('page', PAGE_CACHE_VERSION),
+    ...CACHE_PATTERNS.map(getRouteCacheName).filter(Boolean)
+  ]);
+}
+
+// Caches from before names carried the environment
+function isLegacyCache(name) {
+  return name.startsWith('carenow-') &&
+    !ENVIRONMENTS.some(environment => name.startsWith(`carenow-${environment}-`));
+}
+
+// Mutations to these endpoints are queued in the outbox when the network is down
+const OUTBOX_PATTERNS = [
+  /\/api\/bookings?(?:\/|\?|$)/,
+  /\/api\/(?:partner\/)?jobs?(?:\/|\?|$)/
+];
+
+const OUTBOX_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Outbox replay settings
+const OUTBOX_CONFIG = {
+  SYNC_TAG: 'background-sync',
+  MAX_ATTEMPTS: 5,
+  BASE_RETRY_DELAY: 30 * 1000, // 30 seconds
+  MAX_RETRY_DELAY: 30 * 60 * 1000, // 30 minutes
+  IDEMPOTENCY_HEADER: 'Idempotency-Key',
+  // Tokens expire while requests sit in the queue, see refreshOutboxAuthorization()
+  MAX_AUTH_ATTEMPTS: 3, // Replays of a 401 entry without a fresh token before it fails
+  AUTH_REFRESH_TIMEOUT: 10 * 1000 // The page may have to fetch a new token first
+};
+
+// IndexedDB storage for worker state
+const SW_DB_NAME = 'carenow-sw';
+const SW_DB_VERSION = 7;
+const OUTBOX_STORE = 'outbox';
+const CACHE_METADATA_STORE = 'cache-entries';
+const PUSH_STATE_STORE = 'push-state';
+const SETTINGS_STORE = 'settings';
+const SHARED_CONTENT_STORE = 'shared-content';
+const UPCOMING_BOOKINGS_STORE = 'upcoming-bookings';
+const SNOOZED_REMINDERS_STORE = 'snoozed-reminders';
+
+// Runtime cache storage budget; the precache is never evicted
+const STORAGE_CONFIG = {
+  MAX_USAGE_RATIO: 0.5, // Share of the origin quota runtime caches may use
+  MAX_USAGE_BYTES: 200 * 1024 * 1024, // 200 MB
+  EVICTION_BATCH_SIZE: 10,
+  QUOTA_CHECK_DELAY: 10 * 1000 // 10 seconds
+};
+
+// Notification presentation
+const NOTIFICATION_ICON = '/icons/Icon-192.png';
+const NOTIFICATION_BADGE = '/icons/Icon-maskable-192.png';
+
+// Mirrors NotificationPriority in notification.dart
+const NOTIFICATION_PRIORITIES = {
+  low: { silent: true, requireInteraction: false, vibrate: null },
+  normal: { silent: false, requireInteraction: false, vibrate: [100, 50, 100] },
+  high: { silent: false, requireInteraction: true, vibrate: [200, 100, 200] },
+  urgent: { silent: false, requireInteraction: true, vibrate: [200, 100, 200, 100, 200] }
+};
+
+// Notification routes are go_router paths. The app keeps go_router's default
+// hash URL strategy, so a window opened on one needs it in the fragment.
+const VIEW_BOOKING_ACTION = { action: 'view_booking', title: 'View booking' };
+const VIEW_JOB_ACTION = { action: 'view_job', title: 'View job' };
+
+const bookingRoute = data => data.bookingId
+  ? `/client/booking-tracking/${data.bookingId}`
+  : '/client';
+
+const jobRoute = data => {
+  if (data.jobId) return `/partner/job-details/${data.jobId}`;
+  if (data.bookingId) return `/partner/job-tracking/${data.bookingId}`;
+  return '/partner/dashboard';
+};
+
+// Mirrors NotificationTypes in notification.dart
+const NOTIFICATION_TYPES = {
+  booking_created: {
+    title: 'Booking created',
+    actions: [{ action: 'confirm_booking', title: 'Confirm' }, VIEW_BOOKING_ACTION],
+    route: bookingRoute
+  },
+  booking_confirmed: { title: 'Booking confirmed', actions: [VIEW_BOOKING_ACTION], route: bookingRoute },
+  booking_started: { title: 'Your carer has started', actions: [VIEW_BOOKING_ACTION], route: bookingRoute },
+  booking_completed: { title: 'Booking completed', actions: [VIEW_BOOKING_ACTION], route: bookingRoute },
+  booking_cancelled: { title: 'Booking cancelled', actions: [VIEW_BOOKING_ACTION], route: bookingRoute },
+  booking_reminder: {
+    title: 'Upcoming booking',
+    actions: [VIEW_BOOKING_ACTION, { action: 'snooze_reminder', title: 'Snooze' }],
+    route: bookingRoute
+  },
+  new_job_available: {
+    title: 'New job available',
+    actions: [
+      { action: 'accept_job', title: 'Accept job' },
+      { action: 'decline_job', title: 'Decline' }
+    ],
+    route: jobRoute
+  },
+  job_accepted: { title: 'Job accepted', actions: [VIEW_JOB_ACTION], route: jobRoute },
+  job_started: { title: 'Job started', actions: [VIEW_JOB_ACTION], route: jobRoute },
+  job_completed: { title: 'Job completed', actions: [VIEW_JOB_ACTION], route: jobRoute },
+  job_cancelled: { title: 'Job cancelled', actions: [VIEW_JOB_ACTION], route: jobRoute },
+  payment_received: { title: 'Payment received', route: bookingRoute },
+  payment_failed: {
+    title: 'Payment failed',
+    actions: [{ action: 'retry_payment', title: 'Update payment' }],
+    route: bookingRoute
   },
-  {
-    pattern: /\.(?:js|css|woff|woff2|ttf|eot)$/,
-    strategy: CACHE_STRATEGIES.CACHE_FIRST,
-    maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-    maxEntries: 50
+  earnings_update: { title: 'Earnings updated', route: () => '/partner/earnings' },
+  system_maintenance: { title: 'Scheduled maintenance', route: () => '/' },
+  app_update: { title: 'Update available', route: () => '/' },
+  account_update: { title: 'Account updated', route: () => '/client/profile' },
+  rating_received: { title: 'New rating', route: bookingRoute },
+  review_received: { title: 'New review', route: bookingRoute },
+  special_offer: { title: 'Special offer', route: () => '/client/services' },
+  discount: { title: 'Discount available', route: () => '/client/services' }
+};
+
+function jobActionEndpoint(data, verb) {
+  const id = data.jobId || data.bookingId;
+  return id ? `/api/jobs/${id}/${verb}` : null;
+}
+
+// Notification actions the worker can complete without opening the app
+const NOTIFICATION_ACTIONS = {
+  accept_job: {
+    method: 'POST',
+    endpoint: data => jobActionEndpoint(data, 'accept'),
+    success: 'Job accepted',
+    failure: 'Could not accept the job'
   },
-  {
-    pattern: /^https:\/\/fonts\.googleapis\.com/,
-    strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
-    maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-    maxEntries: 10
+  decline_job: {
+    method: 'POST',
+    endpoint: data => jobActionEndpoint(data, 'decline'),
+    success: 'Job declined',
+    failure: 'Could not decline the job'
   },
-  {
-    pattern: /^https:\/\/fonts\.gstatic\.com/,
-    strategy: CACHE_STRATEGIES.CACHE_FIRST,
-    maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-    maxEntries: 20
+  confirm_booking: {
+    method: 'POST',
+    endpoint: data => data.bookingId ? `/api/bookings/${data.bookingId}/confirm` : null,
+    success: 'Booking confirmed',
+    failure: 'Could not confirm the booking'
   },
-  {
-    pattern: /\/api\//,
-    strategy: CACHE_STRATEGIES.NETWORK_FIRST,
-    maxAge: 5 * 60 * 1000, // 5 minutes
-    maxEntries: 50
+  snooze_reminder: {
+    local: true,
+    success: 'Reminder snoozed for 10 minutes',
+    failure: 'Could not snooze the reminder'
   }
-];
+};
 
-// Critical resources to cache immediately
-const CRITICAL_RESOURCES = [
-  '/',
-  '/manifest.json',
-  '/favicon.ico',
-  '/assets/AssetManifest.json',
-  '/assets/FontManifest.json'
-];
+const SNOOZE_DELAY = 10 * 60 * 1000; // 10 minutes
+const ACTION_CLIENT_TIMEOUT = 3000; // How long an open page gets to take over an action
+
+// Photos and text shared into the installed app, see share_target in manifest.json
+const SHARE_TARGET_CONFIG = {
+  PATH: '/share-target',
+  FILES_FIELD: 'photos',
+  REDIRECT_ROUTE: '/client/booking', // go_router path, opened through appUrl()
+  MAX_FILES: 10,
+  MAX_TOTAL_BYTES: 25 * 1024 * 1024, // 25 MB
+  MAX_AGE: 24 * 60 * 60 * 1000 // 24 hours
+};
+const SHARE_CONTENT_PATTERN = /^\/share-target\/([^/]+)(?:\/files\/(\d+))?$/;
+
+// Local booking reminders, refreshed by Periodic Background Sync or, where it
+// is unsupported, when a page becomes visible or the worker wakes up
+const REMINDER_SETTINGS = RUNTIME_CONFIG.reminders || {};
+const REMINDER_CONFIG = {
+  SYNC_TAG: 'booking-reminders',
+  ENDPOINT: '/api/bookings/upcoming',
+  SETTINGS_KEY: 'bookingReminders',
+  DEFAULT_LEAD_TIME: (REMINDER_SETTINGS.leadTimeMinutes || 60) * 60 * 1000,
+  MIN_REFRESH_INTERVAL: 15 * 60 * 1000, // Visibility and wake-up checks reuse data younger than this
+  AUTH_TIMEOUT: 10 * 1000, // An open page may have to fetch a new token first
+  // Mirrors BookingStatus in booking.dart
+  REMINDABLE_STATUSES: ['pending', 'confirmed']
+};
 
-// Install event - cache critical resources
+// Install event - precache the files listed in the manifest
 self.addEventListener('install', event => {
-  console.log('SW: Installing service worker');
+  debugLog('SW: Installing service worker');
+  
+  if (IS_MESSAGING_WORKER || !FEATURES.serviceWorker) {
+    self.skipWaiting();
+    return;
+  }
   
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('SW: Caching critical resources');
-        return cache.addAll(CRITICAL_RESOURCES);
-      })
-      .then(() => {
-        console.log('SW: Critical resources cached');
-        return self.skipWaiting();
-      })
+    // No skipWaiting() here: an updated worker waits until the page sends
+    // SKIP_WAITING, so a deploy never swaps code in the middle of a booking
+    precacheResources()
       .catch(error => {
-        console.error('SW: Failed to cache critical resources:', error);
+        reportError('Failed to precache resources', error);
       })
   );
 });
 
+// Kill switch for environments with the worker disabled: drop this
+// environment's caches so a dev build never serves stale code, then step aside
+async function unregisterWorker() {
+  const cacheNames = await caches.keys();
+  await Promise.all(cacheNames
+    .filter(name => name.startsWith(CACHE_PREFIX) || isLegacyCache(name))
+    .map(name => caches.delete(name)));
+
+  await self.registration.unregister();
+  debugLog('SW: Disabled by runtime config, unregistered');
+}
+
+// Download only the manifest entries whose revision is not cached yet
+async function precacheResources() {
+  const cache = await caches.open(PRECACHE_CACHE);
+  const cachedKeys = new Set((await cache.keys()).map(request => request.url));
+
+  const entries = [...new Set(PRECACHE_KEYS.values())]
+    .filter(key => !cachedKeys.has(key));
+
+  debugLog(`SW: Precaching ${entries.length} of ${SW_CONFIG.precache.length} files`);
+
+  const results = await Promise.allSettled(entries.map(async key => {
+    const url = key.slice(0, key.lastIndexOf('?__rev='));
+    const response = await fetch(url, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      throw new Error(`${url} responded with ${response.status}`);
+    }
+
+    await cache.put(key, await stripRedirect(response));
+  }));
+
+  // A missing file is logged instead of failing the whole install
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.warn('SW: Precache failed:', result.reason));
+}
+
+// cleanUrls redirects /index.html to /, and navigations reject redirected responses
+async function stripRedirect(response) {
+  if (!response.redirected) return response;
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
+
+// Drop precached revisions that are no longer in the manifest
+async function cleanupPrecache() {
+  const cache = await caches.open(PRECACHE_CACHE);
+  const expected = new Set(PRECACHE_KEYS.values());
+  const keys = await cache.keys();
+
+  await Promise.all(
+    keys
+      .filter(request => !expected.has(request.url))
+      .map(request => cache.delete(request))
+  );
+}
+
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
-  console.log('SW: Activating service worker');
+  debugLog('SW: Activating service worker');
+  
+  if (IS_MESSAGING_WORKER) return;
+  
+  if (!FEATURES.serviceWorker) {
+    event.waitUntil(unregisterWorker());
+    return;
+  }
   
   event.waitUntil(
-    caches.keys()
+    settingsLoaded
+      .then(() => caches.keys())
       .then(cacheNames => {
-        const oldCaches = cacheNames.filter(name => 
-          name.startsWith('carenow-cache-') && name !== CACHE_NAME ||
-          name.startsWith('carenow-runtime-') && name !== RUNTIME_CACHE
+        const currentCaches = getCurrentCacheNames();
+        const oldCaches = cacheNames.filter(name =>
+          (name.startsWith(CACHE_PREFIX) && !currentCaches.has(name)) || isLegacyCache(name)
         );
         
-        console.log('SW: Cleaning up old caches:', oldCaches);
+        debugLog('SW: Cleaning up old caches:', oldCaches);
         
-        return Promise.all(
-          oldCaches.map(name => caches.delete(name))
-        );
+        return Promise.all([
+          ...oldCaches.map(name => caches.delete(name)),
+          cleanupPrecache(),
+          cleanupCacheMetadata(currentCaches)
+        ]);
       })
       .then(() => {
-        console.log('SW: Old caches cleaned up');
+        debugLog('SW: Old caches cleaned up');
         return self.clients.claim();
       })
       .catch(error => {
-        console.error('SW: Failed to clean up old caches:', error);
+        reportError('Failed to clean up old caches', error);
       })
+      // Browsers without Background Sync replay the outbox on activation
+      .then(() => replayOutbox())
   );
 });
 
@@ -112,8 +464,30 @@ self.addEventListener('fetch', event => {
   const { request } = event;
   const url = new URL(request.url);
   
-  // Skip non-GET requests
+  // Disabled by runtime config (development): everything goes to the network
+  if (!FEATURES.serviceWorker) return;
+  
+  // Content shared into the installed app and the app reading it back
+  if (url.origin === self.location.origin) {
+    if (url.pathname === SHARE_TARGET_CONFIG.PATH && request.method === 'POST') {
+      event.respondWith(handleShareTarget(request));
+      return;
+    }
+    
+    if (SHARE_CONTENT_PATTERN.test(url.pathname)) {
+      event.respondWith(handleSharedContent(request, url).catch(error => {
+        reportError('Failed to read staged shared content', error);
+        return jsonResponse({ error: 'storage', message: error.message }, 500);
+      }));
+      return;
+    }
+  }
+  
+  // Queue booking and job mutations, skip every other non-GET request
   if (request.method !== 'GET') {
+    if (isOutboxRequest(request)) {
+      event.respondWith(handleMutation(request));
+    }
     return;
   }
   
@@ -122,238 +496,1917 @@ self.addEventListener('fetch', event => {
     return;
   }
   
-  // Find matching cache pattern
-  const pattern = CACHE_PATTERNS.find(p => p.pattern.test(request.url));
+  // Every in-app route is served by the Flutter app shell
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
   
-  if (pattern) {
-    event.respondWith(handleRequest(request, pattern));
-  } else {
-    // Default strategy for unmatched requests
-    event.respondWith(
-      handleRequest(request, {
-        strategy: CACHE_STRATEGIES.NETWORK_FIRST,
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        maxEntries: 50
-      })
-    );
+  // Precached files are served from their current revision
+  const precacheKey = PRECACHE_KEYS.get(url.origin + url.pathname);
+  if (precacheKey && !url.search) {
+    event.respondWith(precacheFirst(request, precacheKey));
+    return;
   }
+  
+  // Runtime routes, falling back to the default strategy. Per-user caches
+  // need the signed-in user, which a freshly woken worker reads from IndexedDB.
+  event.respondWith(settingsLoaded.then(() => router.handleRequest({ request, event })));
 });
 
-// Handle request based on caching strategy
-async function handleRequest(request, pattern) {
-  const { strategy, maxAge, maxEntries } = pattern;
-  
-  switch (strategy) {
-    case CACHE_STRATEGIES.CACHE_FIRST:
-      return cacheFirst(request, maxAge, maxEntries);
-    
-    case CACHE_STRATEGIES.NETWORK_FIRST:
-      return networkFirst(request, maxAge, maxEntries);
-    
-    case CACHE_STRATEGIES.STALE_WHILE_REVALIDATE:
-      return staleWhileRevalidate(request, maxAge, maxEntries);
-    
-    case CACHE_STRATEGIES.NETWORK_ONLY:
-      return fetch(request);
-    
-    case CACHE_STRATEGIES.CACHE_ONLY:
-      return cacheOnly(request);
-    
-    default:
-      return networkFirst(request, maxAge, maxEntries);
+// Navigations go to the network first, then the cached app shell, then the offline page
+async function handleNavigation(request) {
+  const networkPromise = fetch(request);
+  const appShell = await matchPrecache(APP_SHELL_URL);
+
+  try {
+    // Only worth timing out when there is a shell to fall back to
+    const response = appShell
+      ? await raceTimeout(networkPromise, getNetworkTimeout(NAVIGATION_TIMEOUT), WORKER_SCOPE)
+      : await networkPromise;
+
+    if (response !== TIMED_OUT) return response;
+
+    networkPromise.catch(() => {});
+    console.warn('SW: Navigation timed out, serving app shell');
+    return appShell;
+  } catch (error) {
+    console.warn('SW: Navigation failed, serving app shell:', error);
   }
+
+  const fallback = appShell || await matchPrecache(OFFLINE_PAGE_URL);
+  if (fallback) return fallback;
+
+  return new Response(
+    '<!DOCTYPE html><title>CareNow - Offline</title><p>You are offline. CareNow will reload when your connection returns.</p>' +
+    '<script>addEventListener("online", () => location.reload());</script>',
+    { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+  );
 }
 
-// Cache-first strategy
-async function cacheFirst(request, maxAge, maxEntries) {
-  const cache = await caches.open(RUNTIME_CACHE);
-  const cachedResponse = await cache.match(request);
-  
-  if (cachedResponse && !isExpired(cachedResponse, maxAge)) {
-    return cachedResponse;
+async function matchPrecache(path) {
+  const key = PRECACHE_KEYS.get(new URL(path, self.location.origin).href);
+  if (!key) return undefined;
+
+  const cache = await caches.open(PRECACHE_CACHE);
+  return cache.match(key);
+}
+
+// Offline errors the Flutter app can tell apart from server errors
+function offlineResponse(request) {
+  if (API_PATTERN.test(request.url)) {
+    return new Response(
+      JSON.stringify({
+        error: 'offline',
+        code: 'NETWORK_OFFLINE',
+        message: 'No network connection and no cached data available',
+        url: request.url
+      }),
+      {
+        status: 503,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Offline': 'true'
+        }
+      }
+    );
   }
+
+  return new Response('Offline', { status: 503, headers: { 'X-Offline': 'true' } });
+}
+
+async function precacheFirst(request, precacheKey) {
+  const cache = await caches.open(PRECACHE_CACHE);
+  const cachedResponse = await cache.match(precacheKey);
   
-  try {
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      await cache.put(request, networkResponse.clone());
-      await cleanupCache(cache, maxEntries);
-    }
-    
-    return networkResponse;
-  } catch (error) {
-    console.warn('SW: Network failed, serving stale cache:', error);
-    return cachedResponse || new Response('Offline', { status: 503 });
+  return cachedResponse || fetch(request);
+}
+
+// In-flight GET requests, see dedupeKey()
+const inFlightRequests = new Map();
+
+// Request headers that change what the server answers
+const DEDUPE_KEY_HEADERS = ['authorization', 'accept', 'accept-language'];
+
+// Requests only share a fetch when everything that shapes the response
+// matches. Range requests want a slice of the body, so they never share.
+function dedupeKey(request) {
+  if (request.method !== 'GET' || request.headers.has('range')) return null;
+
+  return [
+    request.url,
+    request.mode,
+    request.credentials,
+    ...DEDUPE_KEY_HEADERS.map(name => request.headers.get(name) || '')
+  ].join('|');
+}
+
+// Concurrent identical GET requests share one network fetch
+function dedupedFetch(request) {
+  const key = dedupeKey(request);
+  if (!key) return fetch(request);
+
+  let pending = inFlightRequests.get(key);
+
+  if (!pending) {
+    pending = fetch(request).finally(() => inFlightRequests.delete(key));
+    inFlightRequests.set(key, pending);
   }
+
+  // Every caller gets its own copy of the body
+  return pending.then(response => response.clone());
 }
 
-// Network-first strategy
-async function networkFirst(request, maxAge, maxEntries) {
-  const cache = await caches.open(RUNTIME_CACHE);
-  
-  try {
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      await cache.put(request, networkResponse.clone());
-      await cleanupCache(cache, maxEntries);
-    }
-    
-    return networkResponse;
-  } catch (error) {
-    console.warn('SW: Network failed, trying cache:', error);
-    const cachedResponse = await cache.match(request);
-    
-    if (cachedResponse) {
-      return cachedResponse;
-    }
-    
-    return new Response('Offline', { status: 503 });
+// Network quality reported by pages, for browsers without navigator.connection
+// in workers; lite means slow-2g/2g, Save-Data or a low-memory device. Kept in
+// the settings store, as a restarted worker gets no new report until a page
+// sees the connection change.
+let clientNetworkState = { lite: false, effectiveType: null };
+
+async function setClientNetworkState({ lite, effectiveType }) {
+  clientNetworkState = {
+    lite: Boolean(lite),
+    effectiveType: effectiveType || null
+  };
+
+  await withStore(SETTINGS_STORE, 'readwrite', store =>
+    store.put({ key: 'networkState', value: clientNetworkState })
+  );
+}
+
+// The worker's own Save-Data and connection type count even before any report
+function isLiteMode() {
+  const connection = self.navigator.connection;
+  if (connection && (connection.saveData || /2g$/.test(connection.effectiveType || ''))) {
+    return true;
   }
+
+  return clientNetworkState.lite;
 }
 
-// Stale-while-revalidate strategy
-async function staleWhileRevalidate(request, maxAge, maxEntries) {
-  const cache = await caches.open(RUNTIME_CACHE);
-  const cachedResponse = await cache.match(request);
-  
-  // Always try to fetch from network in background
-  const networkPromise = fetch(request)
-    .then(response => {
-      if (response.ok) {
-        cache.put(request, response.clone());
-        cleanupCache(cache, maxEntries);
+// Slow connections get longer timeouts, scaled by the Network Information API
+function getNetworkTimeout(timeout) {
+  if (!timeout) return 0;
+
+  const connection = self.navigator.connection;
+  const effectiveType = (connection && connection.effectiveType) || clientNetworkState.effectiveType;
+
+  return timeout * (NETWORK_TIMEOUT_SCALE[effectiveType] || 1);
+}
+
+function getRevalidateAfter(pattern) {
+  return pattern.revalidateAfter !== undefined && pattern.revalidateAfter !== null
+    ? pattern.revalidateAfter
+    : DEFAULT_REVALIDATE_AFTER;
+}
+
+// Expiration metadata in IndexedDB, behind the store interface of sw/plugins.js
+const cacheMetadataStore = {
+  get: (cacheName, url) => withStore(CACHE_METADATA_STORE, 'readonly', store =>
+    store.get([cacheName, url])
+  ),
+  put: entry => withStore(CACHE_METADATA_STORE, 'readwrite', store => store.put(entry)),
+  touch: (cacheName, url, time) => withStore(CACHE_METADATA_STORE, 'readwrite', store => {
+    const lookup = store.get([cacheName, url]);
+
+    lookup.onsuccess = () => {
+      if (lookup.result) {
+        store.put({ ...lookup.result, lastAccessed: time });
       }
-      return response;
-    })
-    .catch(error => {
-      console.warn('SW: Background fetch failed:', error);
-    });
-  
-  // Return cached response immediately if available
-  if (cachedResponse) {
-    return cachedResponse;
+    };
+  }),
+  getAll: cacheName => withStore(CACHE_METADATA_STORE, 'readonly', store =>
+    cacheName ? store.index('cacheName').getAll(cacheName) : store.getAll()
+  ),
+  delete: entries => withStore(CACHE_METADATA_STORE, 'readwrite', store => {
+    entries.forEach(entry => store.delete([entry.cacheName, entry.url]));
+  })
+};
+
+const sharedCacheablePlugin = new CacheableResponsePlugin({ statuses: [200], shared: true });
+const userCacheablePlugin = new CacheableResponsePlugin({ statuses: [200] });
+const quotaPlugin = { cacheDidUpdate: () => scheduleQuotaCheck() };
+
+// Drops responses whose user signed out while they were in flight
+function currentUserPlugin(pattern) {
+  return {
+    cacheWillUpdate: ({ cacheName, response }) => cacheName === getRouteCacheName(pattern) ? response : null
+  };
+}
+
+// Routes with broadcastUpdates, refreshed on reconnect and reset with the caches
+const broadcastPlugins = [];
+
+function createRouteStrategy(pattern) {
+  const plugins = [
+    ...(pattern.userScoped ? [userCacheablePlugin, currentUserPlugin(pattern)] : [sharedCacheablePlugin]),
+    new ExpirationPlugin({
+      maxAge: pattern.maxAge,
+      maxEntries: pattern.maxEntries,
+      store: cacheMetadataStore
+    }),
+    quotaPlugin
+  ];
+
+  if (pattern.broadcastUpdates) {
+    const broadcastPlugin = new BroadcastUpdatePlugin({ routeName: pattern.name });
+    broadcastPlugins.push(broadcastPlugin);
+    plugins.push(broadcastPlugin);
   }
-  
-  // If no cache, wait for network
-  return networkPromise;
+
+  return createStrategy(pattern.strategy, {
+    cacheName: pattern.userScoped ? () => getRouteCacheName(pattern) : pattern.cacheName,
+    plugins: plugins,
+    scope: WORKER_SCOPE,
+    fetch: dedupedFetch,
+    networkTimeout: () => getNetworkTimeout(pattern.networkTimeout),
+    revalidateAfter: getRevalidateAfter(pattern),
+    // Lite mode saves the data while a usable copy exists
+    skipRevalidation: isLiteMode,
+    offlineResponse: offlineResponse
+  });
 }
 
-// Cache-only strategy
-async function cacheOnly(request) {
-  const cache = await caches.open(RUNTIME_CACHE);
-  const cachedResponse = await cache.match(request);
-  
-  return cachedResponse || new Response('Not in cache', { status: 404 });
+// Runtime routes from web/sw-routes.json, tried in order
+const router = new Router();
+CACHE_PATTERNS.forEach(pattern => {
+  router.registerRoute(pattern.pattern, createRouteStrategy(pattern));
+});
+router.setDefaultHandler(createRouteStrategy(DEFAULT_PATTERN));
+
+// Refetch everything served stale while offline and tell pages about the fresh data
+function refreshStaleEntries() {
+  return Promise.all(broadcastPlugins.map(plugin => plugin.refreshStale()));
 }
 
-// Check if cached response is expired
-function isExpired(response, maxAge) {
-  if (!maxAge) return false;
-  
-  const dateHeader = response.headers.get('date');
-  if (!dateHeader) return false;
-  
-  const date = new Date(dateHeader);
-  const now = new Date();
-  
-  return (now.getTime() - date.getTime()) > maxAge;
+let quotaCheckTimer = null;
+
+// Quota checks are throttled since estimate() is comparatively expensive
+function scheduleQuotaCheck() {
+  if (quotaCheckTimer) return;
+
+  quotaCheckTimer = setTimeout(() => {
+    quotaCheckTimer = null;
+    enforceStorageQuota().catch(error => {
+      console.warn('SW: Storage quota check failed:', error);
+    });
+  }, STORAGE_CONFIG.QUOTA_CHECK_DELAY);
 }
 
-// Clean up cache to maintain size limits
-async function cleanupCache(cache, maxEntries) {
-  if (!maxEntries) return;
-  
-  const keys = await cache.keys();
-  
-  if (keys.length > maxEntries) {
-    const keysToDelete = keys.slice(0, keys.length - maxEntries);
-    
-    await Promise.all(
-      keysToDelete.map(key => cache.delete(key))
-    );
-    
-    console.log(`SW: Cleaned up ${keysToDelete.length} cache entries`);
+// Evict least recently used runtime entries until usage fits the budget
+async function enforceStorageQuota() {
+  if (!self.navigator.storage || !self.navigator.storage.estimate) return;
+
+  let { usage, quota } = await self.navigator.storage.estimate();
+  const budget = Math.min(quota * STORAGE_CONFIG.MAX_USAGE_RATIO, STORAGE_CONFIG.MAX_USAGE_BYTES);
+
+  if (usage <= budget) return;
+
+  const entries = (await cacheMetadataStore.getAll())
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+  while (usage > budget && entries.length > 0) {
+    await deleteEntries(caches, cacheMetadataStore, entries.splice(0, STORAGE_CONFIG.EVICTION_BATCH_SIZE));
+    ({ usage } = await self.navigator.storage.estimate());
   }
+
+  debugLog(`SW: Storage usage ${usage} bytes after quota eviction`);
+}
+
+// Forget metadata for caches that were deleted
+async function cleanupCacheMetadata(currentCaches) {
+  const entries = await cacheMetadataStore.getAll();
+  await cacheMetadataStore.delete(entries.filter(entry => !currentCaches.has(entry.cacheName)));
 }
 
 // Background sync for offline actions
 self.addEventListener('sync', event => {
-  console.log('SW: Background sync triggered:', event.tag);
+  debugLog('SW: Background sync triggered:', event.tag);
   
-  if (event.tag === 'background-sync') {
-    event.waitUntil(doBackgroundSync());
+  if (event.tag === OUTBOX_CONFIG.SYNC_TAG && !IS_MESSAGING_WORKER) {
+    event.waitUntil(doBackgroundSync(event.lastChance));
   }
 });
 
 // Handle background sync
-async function doBackgroundSync() {
+async function doBackgroundSync(lastChance) {
+  let remaining = 0;
+
   try {
-    // Implement background sync logic here
-    // e.g., sync offline data, send queued requests
-    console.log('SW: Background sync completed');
+    remaining = await replayOutbox();
+    debugLog('SW: Background sync completed, pending requests:', remaining);
   } catch (error) {
-    console.error('SW: Background sync failed:', error);
+    reportError('Background sync failed', error);
+  }
+
+  // Rejecting asks the browser to retry the sync later with its own backoff
+  if (remaining > 0 && !lastChance) {
+    throw new Error(`${remaining} queued requests still pending`);
   }
 }
 
-// Push notification handling
-self.addEventListener('push', event => {
-  console.log('SW: Push notification received');
-  
-  const options = {
-    body: event.data ? event.data.text() : 'New notification',
-    icon: '/assets/icons/icon-192.png',
-    badge: '/assets/icons/badge-72.png',
-    vibrate: [100, 50, 100],
-    data: {
-      dateOfArrival: Date.now(),
-      primaryKey: 1
-    },
-    actions: [
-      {
-        action: 'explore',
-        title: 'View',
-        icon: '/assets/icons/checkmark.png'
-      },
-      {
-        action: 'close',
-        title: 'Close',
-        icon: '/assets/icons/xmark.png'
-      }
-    ]
-  };
-  
-  event.waitUntil(
-    self.registration.showNotification('CareNow', options)
-  );
-});
+// Check whether a mutation should go through the outbox
+function isOutboxRequest(request) {
+  return FEATURES.backgroundSync &&
+    OUTBOX_METHODS.includes(request.method) &&
+    OUTBOX_PATTERNS.some(pattern => pattern.test(request.url));
+}
 
-// Notification click handling
-self.addEventListener('notificationclick', event => {
-  console.log('SW: Notification clicked:', event.action);
-  
-  event.notification.close();
-  
-  if (event.action === 'explore') {
-    event.waitUntil(
-      clients.openWindow('/')
-    );
+// Send a mutation, queueing it in the outbox if the network is unavailable
+async function handleMutation(request) {
+  const entry = await serializeRequest(request);
+
+  // Keep mutations in order: anything still queued has to go out first.
+  // Entries waiting for a token do not hold new requests back, which carry
+  // the page's current one.
+  let pending = 0;
+  try {
+    pending = await replayOutbox({ retryAuth: false });
+  } catch (error) {
+    console.warn('SW: Outbox unavailable, sending directly:', error);
+    return fetch(buildOutboxRequest(entry));
   }
-});
 
-// Message handling from main thread
-self.addEventListener('message', event => {
-  console.log('SW: Message received:', event.data);
-  
-  if (event.data && event.data.type === 'SKIP_WAITING') {
-    self.skipWaiting();
+  if (pending === 0) {
+    try {
+      return await fetch(buildOutboxRequest(entry));
+    } catch (error) {
+      console.warn('SW: Mutation failed, queueing for replay:', error);
+    }
   }
-  
-  if (event.data && event.data.type === 'GET_VERSION') {
-    event.ports[0].postMessage({ version: CACHE_VERSION });
+
+  let id;
+  try {
+    id = await enqueueRequest(entry);
+  } catch (error) {
+    reportError('Failed to queue request', error);
+    return offlineResponse(request);
   }
-});
 
-console.log('SW: Service worker loaded successfully');
+  return new Response(
+    JSON.stringify({
+      queued: true,
+      outboxId: id,
+      idempotencyKey: entry.idempotencyKey
+    }),
+    {
+      status: 202,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Outbox-Queued': 'true'
+      }
+    }
+  );
+}
+
+// Capture everything needed to resend a request later
+async function serializeRequest(request) {
+  const headers = {};
+  request.headers.forEach((value, key) => {
+    headers[key] = value;
+  });
+
+  const idempotencyKey =
+    request.headers.get(OUTBOX_CONFIG.IDEMPOTENCY_HEADER) || generateId();
+  headers[OUTBOX_CONFIG.IDEMPOTENCY_HEADER.toLowerCase()] = idempotencyKey;
+
+  return {
+    url: request.url,
+    method: request.method,
+    headers: headers,
+    body: await request.arrayBuffer(),
+    credentials: request.credentials,
+    idempotencyKey: idempotencyKey,
+    queuedAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null
+  };
+}
+
+// Rebuild a fetchable request from an outbox entry
+function buildOutboxRequest(entry) {
+  return new Request(entry.url, {
+    method: entry.method,
+    headers: entry.headers,
+    body: entry.body && entry.body.byteLength ? entry.body : undefined,
+    credentials: entry.credentials
+  });
+}
+
+// Store a request in the outbox and schedule a replay
+async function enqueueRequest(entry) {
+  const id = await withStore(OUTBOX_STORE, 'readwrite', store => store.add(entry));
+
+  await notifyOutboxStatus('queued', { ...entry, id });
+  await registerBackgroundSync();
+
+  return id;
+}
+
+async function registerBackgroundSync() {
+  if (!self.registration.sync) return;
+
+  try {
+    await self.registration.sync.register(OUTBOX_CONFIG.SYNC_TAG);
+  } catch (error) {
+    console.warn('SW: Background sync registration failed:', error);
+  }
+}
+
+let replayInFlight = null;
+
+// Replay queued requests in order, returns the number still pending.
+// retryAuth: false leaves entries waiting for a token alone, see drainOutbox().
+function replayOutbox({ retryAuth = true } = {}) {
+  if (!replayInFlight) {
+    replayInFlight = drainOutbox({ retryAuth }).finally(() => {
+      replayInFlight = null;
+    });
+  }
+
+  return replayInFlight;
+}
+
+// A 401 means the token queued with the entry expired: an open page is asked
+// for a fresh one. Without one the entry is set aside (authRequired) until
+// a page or Background Sync replays the outbox again, and fails after
+// MAX_AUTH_ATTEMPTS such replays. 403 is a real refusal and fails right away.
+async function drainOutbox({ retryAuth = true } = {}) {
+  const entries = await withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+  let remaining = entries.length;
+
+  for (const entry of entries) {
+    if (entry.authRequired && !retryAuth) {
+      remaining--;
+      continue;
+    }
+
+    // Later entries wait behind an entry that is still backing off
+    if (entry.nextAttemptAt > Date.now()) break;
+
+    let response;
+    let reauthorized = false;
+    try {
+      response = await fetch(buildOutboxRequest(entry));
+
+      if (response.status === 401 && retryAuth) {
+        reauthorized = await refreshOutboxAuthorization(entry);
+        if (reauthorized) {
+          response = await fetch(buildOutboxRequest(entry));
+        }
+      }
+    } catch (error) {
+      // Still offline, leave the queue untouched
+      break;
+    }
+
+    if (response.status === 401 && !reauthorized) {
+      entry.authAttempts = (entry.authAttempts || 0) + (retryAuth ? 1 : 0);
+      entry.lastError = 'HTTP 401';
+
+      if (entry.authAttempts >= OUTBOX_CONFIG.MAX_AUTH_ATTEMPTS) {
+        await withStore(OUTBOX_STORE, 'readwrite', store => store.delete(entry.id));
+        await notifyOutboxStatus('failed', entry, { httpStatus: 401, reason: 'unauthorized' });
+      } else {
+        entry.authRequired = true;
+        await withStore(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+        await notifyOutboxStatus('auth-required', entry, { httpStatus: 401 });
+      }
+
+      // Nothing after it depends on its token, so the queue moves on
+      remaining--;
+      continue;
+    }
+
+    if (response.ok) {
+      await withStore(OUTBOX_STORE, 'readwrite', store => store.delete(entry.id));
+      await notifyOutboxStatus('replayed', entry, { httpStatus: response.status });
+      remaining--;
+      continue;
+    }
+
+    const retryable = response.status >= 500 ||
+      response.status === 408 ||
+      response.status === 429;
+    entry.attempts++;
+    entry.lastError = `HTTP ${response.status}`;
+
+    if (!retryable || entry.attempts >= OUTBOX_CONFIG.MAX_ATTEMPTS) {
+      await withStore(OUTBOX_STORE, 'readwrite', store => store.delete(entry.id));
+      await notifyOutboxStatus('failed', entry, { httpStatus: response.status });
+      remaining--;
+      continue;
+    }
+
+    entry.nextAttemptAt = Date.now() + Math.min(
+      OUTBOX_CONFIG.BASE_RETRY_DELAY * Math.pow(2, entry.attempts - 1),
+      OUTBOX_CONFIG.MAX_RETRY_DELAY
+    );
+    await withStore(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+    await notifyOutboxStatus('retrying', entry, { httpStatus: response.status });
+    break;
+  }
+
+  return remaining;
+}
+
+// Ask an open page for a current Authorization header in place of the one
+// serialized with the entry. Rejections after a refresh count as failures.
+async function refreshOutboxAuthorization(entry) {
+  const reply = await requestFromClient({
+    type: 'OUTBOX_AUTH_REQUIRED',
+    id: entry.id,
+    url: entry.url,
+    method: entry.method
+  }, OUTBOX_CONFIG.AUTH_REFRESH_TIMEOUT);
+
+  if (!reply || !reply.authorization) return false;
+
+  entry.headers = { ...entry.headers, authorization: reply.authorization };
+  entry.authRequired = false;
+  await withStore(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+  return true;
+}
+
+// Tell open pages about an outbox entry so they can show it as pending
+function notifyOutboxStatus(status, entry, details = {}) {
+  return broadcastToClients({
+    type: 'OUTBOX_STATUS',
+    status: status,
+    id: entry.id,
+    idempotencyKey: entry.idempotencyKey,
+    url: entry.url,
+    method: entry.method,
+    queuedAt: entry.queuedAt,
+    attempts: entry.attempts,
+    nextAttemptAt: entry.nextAttemptAt,
+    ...details
+  });
+}
+
+async function broadcastToClients(message) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+
+  clientList.forEach(client => client.postMessage(message));
+}
+
+// The focused window, else a visible one, else any
+function preferredClient(clientList) {
+  return clientList.find(c => c.focused) ||
+    clientList.find(c => c.visibilityState === 'visible') ||
+    clientList[0] ||
+    null;
+}
+
+// Log an error and forward it to the web error reporter of one open page,
+// since every tab would otherwise report it again
+function reportError(context, error) {
+  console.error(`SW: ${context}:`, error);
+
+  const message = {
+    type: 'SW_ERROR',
+    context: context,
+    error: {
+      name: (error && error.name) || 'Error',
+      message: (error && error.message) || String(error),
+      stack: (error && error.stack) || null
+    },
+    version: APP_VERSION,
+    timestamp: Date.now()
+  };
+
+  self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    .then(clientList => {
+      const client = preferredClient(clientList);
+      if (client) client.postMessage(message);
+    })
+    .catch(() => {});
+}
+
+self.addEventListener('error', event => {
+  reportError('Uncaught error', event.error || event.message);
+});
+
+self.addEventListener('unhandledrejection', event => {
+  reportError('Unhandled rejection', event.reason);
+});
+
+function generateId() {
+  if (self.crypto && self.crypto.randomUUID) {
+    return self.crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// IndexedDB helpers
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SW_DB_NAME, SW_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+
+        if (!db.objectStoreNames.contains(CACHE_METADATA_STORE)) {
+          const metadata = db.createObjectStore(CACHE_METADATA_STORE, {
+            keyPath: ['cacheName', 'url']
+          });
+          metadata.createIndex('cacheName', 'cacheName');
+        }
+
+        if (!db.objectStoreNames.contains(PUSH_STATE_STORE)) {
+          db.createObjectStore(PUSH_STATE_STORE, { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+          db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains(SHARED_CONTENT_STORE)) {
+          db.createObjectStore(SHARED_CONTENT_STORE, { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains(UPCOMING_BOOKINGS_STORE)) {
+          db.createObjectStore(UPCOMING_BOOKINGS_STORE, { keyPath: 'bookingId' });
+        }
+
+        if (!db.objectStoreNames.contains(SNOOZED_REMINDERS_STORE)) {
+          db.createObjectStore(SNOOZED_REMINDERS_STORE, { keyPath: 'tag' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+// Run a single request against a store and resolve once the transaction commits
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Share target: manifest.json posts shared photos and text here. The worker
+// stages them in IndexedDB and redirects to the booking screen, which reads
+// them back from GET /share-target/<id> and deletes them when done.
+async function handleShareTarget(request) {
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch (error) {
+    reportError('Failed to read shared content', error);
+    return shareRedirect('shareError', 'unreadable');
+  }
+
+  const files = formData.getAll(SHARE_TARGET_CONFIG.FILES_FIELD)
+    .filter(file => file && typeof file === 'object' && file.size > 0)
+    .slice(0, SHARE_TARGET_CONFIG.MAX_FILES);
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+  if (totalBytes > SHARE_TARGET_CONFIG.MAX_TOTAL_BYTES) {
+    return shareRedirect('shareError', 'too-large');
+  }
+
+  const item = {
+    id: generateId(),
+    title: formData.get('title') || null,
+    text: formData.get('text') || null,
+    url: formData.get('url') || null,
+    files: files.map(file => ({ name: file.name, type: file.type, size: file.size, blob: file })),
+    receivedAt: Date.now()
+  };
+
+  try {
+    await cleanupSharedContent();
+    await withStore(SHARED_CONTENT_STORE, 'readwrite', store => store.put(item));
+  } catch (error) {
+    reportError('Failed to stage shared content', error);
+    return shareRedirect('shareError', 'storage');
+  }
+
+  debugLog('SW: Staged shared content:', item.id, `${files.length} files`);
+  return shareRedirect('shareId', item.id);
+}
+
+// 303 so the browser follows the POST with a GET to the booking screen. The
+// parameter goes in the hash route's query, where go_router and
+// CareNowOptimizer.getShareId() read it.
+function shareRedirect(param, value) {
+  const query = new URLSearchParams({ [param]: value });
+  return Response.redirect(appUrl(`${SHARE_TARGET_CONFIG.REDIRECT_ROUTE}?${query}`), 303);
+}
+
+// GET /share-target/<id> returns JSON describing the item,
+// GET /share-target/<id>/files/<index> a file, DELETE /share-target/<id> discards it
+async function handleSharedContent(request, url) {
+  const match = SHARE_CONTENT_PATTERN.exec(url.pathname);
+  const id = decodeURIComponent(match[1]);
+
+  if (request.method === 'DELETE' && match[2] === undefined) {
+    await withStore(SHARED_CONTENT_STORE, 'readwrite', store => store.delete(id));
+    return new Response(null, { status: 204 });
+  }
+
+  if (request.method !== 'GET') {
+    return new Response(null, { status: 405, headers: { Allow: 'GET, DELETE' } });
+  }
+
+  const item = await withStore(SHARED_CONTENT_STORE, 'readonly', store => store.get(id));
+  if (!item) {
+    return jsonResponse({ error: 'not_found', message: 'Shared content expired or was already used' }, 404);
+  }
+
+  if (match[2] !== undefined) {
+    const file = item.files[Number(match[2])];
+    if (!file) {
+      return jsonResponse({ error: 'not_found', message: 'No such shared file' }, 404);
+    }
+
+    return new Response(file.blob, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'Content-Length': String(file.size),
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  return jsonResponse({
+    id: item.id,
+    title: item.title,
+    text: item.text,
+    url: item.url,
+    receivedAt: item.receivedAt,
+    files: item.files.map((file, index) => ({
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      url: `${SHARE_TARGET_CONFIG.PATH}/${encodeURIComponent(item.id)}/files/${index}`
+    }))
+  });
+}
+
+// Shares the app never picked up are dropped after a day
+async function cleanupSharedContent() {
+  const items = await withStore(SHARED_CONTENT_STORE, 'readonly', store => store.getAll());
+  const cutoff = Date.now() - SHARE_TARGET_CONFIG.MAX_AGE;
+  const expired = items.filter(item => item.receivedAt < cutoff);
+
+  if (expired.length === 0) return;
+
+  await withStore(SHARED_CONTENT_STORE, 'readwrite', store => {
+    expired.forEach(item => store.delete(item.id));
+  });
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+// Push notification handling
+self.addEventListener('push', event => {
+  debugLog('SW: Push notification received');
+
+  event.waitUntil(handlePush(readPushData(event.data)));
+});
+
+function readPushData(data) {
+  if (!data) return {};
+
+  try {
+    return data.json();
+  } catch (error) {
+    // Legacy senders push plain text
+    return { body: data.text() };
+  }
+}
+
+// Show a push as a system notification, or hand it to the app when it is in the foreground
+async function handlePush(raw, { background = false } = {}) {
+  const notification = parsePushPayload(raw);
+
+  if (notification.type === 'booking_reminder' && notification.data.bookingId) {
+    await recordReminderDelivered(notification.data).catch(error => {
+      console.warn('SW: Failed to record pushed reminder:', error);
+    });
+  }
+
+  return presentNotification(notification, { background });
+}
+
+async function presentNotification(notification, { background = false } = {}) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+  const visibleClient = clientList.find(client => client.visibilityState === 'visible');
+
+  // The app shows its own in-app banner, so skip the duplicate system notification
+  if (visibleClient && !background) {
+    visibleClient.postMessage({ type: 'PUSH_RECEIVED', notification: notification });
+    return;
+  }
+
+  return self.registration.showNotification(
+    notification.title,
+    buildNotificationOptions(notification)
+  );
+}
+
+// FCM wraps messages in a notification/data envelope
+function isFcmPayload(payload) {
+  return Boolean(
+    payload.fcmMessageId ||
+    payload.from ||
+    payload.collapse_key ||
+    (payload.notification && typeof payload.notification === 'object')
+  );
+}
+
+// Flatten an FCM message onto our payload shape; FCM data values are always strings
+function fromFcmPayload(payload) {
+  const notification = payload.notification || {};
+  const data = { ...(payload.data || {}) };
+  const fcmOptions = payload.fcmOptions || {};
+
+  // Nested data may arrive JSON-encoded
+  if (typeof data.data === 'string') {
+    try {
+      Object.assign(data, JSON.parse(data.data));
+    } catch (error) {
+      console.warn('SW: Ignoring malformed FCM data field');
+    }
+    delete data.data;
+  }
+
+  const link = fcmOptions.link || notification.click_action || data.actionUrl;
+  const {
+    type, title, body, priority, imageUrl, actionUrl, notificationId, ...rest
+  } = data;
+
+  return {
+    id: notificationId || payload.fcmMessageId || payload.messageId || null,
+    type: type,
+    title: notification.title || title,
+    body: notification.body || body,
+    priority: priority || (payload.priority === 'high' ? 'high' : undefined),
+    imageUrl: notification.image || imageUrl,
+    actionUrl: toAppRoute(link) || actionUrl,
+    data: rest
+  };
+}
+
+// FCM links are absolute URLs, deep links need a same-origin path. Links to
+// the hash-routed app carry the route in the fragment.
+function toAppRoute(link) {
+  if (!link) return null;
+
+  try {
+    const url = new URL(link, self.location.origin);
+    if (url.origin !== self.location.origin) return null;
+
+    return url.hash.startsWith('#/') ? url.hash.slice(1) : url.pathname + url.search;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Normalize a push payload from FCM or our own senders
+function parsePushPayload(raw) {
+  const payload = isFcmPayload(raw) ? fromFcmPayload(raw) : raw;
+
+  const type = payload.type || 'general';
+  const config = NOTIFICATION_TYPES[type] || {};
+
+  return {
+    id: payload.id || null,
+    type: type,
+    title: payload.title || config.title || 'CareNow',
+    body: payload.body || 'New notification',
+    priority: NOTIFICATION_PRIORITIES[payload.priority] ? payload.priority : 'normal',
+    imageUrl: payload.imageUrl || null,
+    actionUrl: payload.actionUrl || null,
+    data: {
+      ...(payload.data || {}),
+      ...(payload.bookingId ? { bookingId: payload.bookingId } : {}),
+      ...(payload.jobId ? { jobId: payload.jobId } : {})
+    }
+  };
+}
+
+// The push service rotated our subscription: subscribe again and tell the app
+self.addEventListener('pushsubscriptionchange', event => {
+  debugLog('SW: Push subscription changed');
+
+  event.waitUntil(
+    resubscribePush(event).catch(error => {
+      reportError('Failed to renew push subscription', error);
+    })
+  );
+});
+
+async function resubscribePush(event) {
+  let subscription = event.newSubscription;
+
+  if (!subscription) {
+    const options = event.oldSubscription && event.oldSubscription.options;
+
+    if (!options || !options.applicationServerKey) {
+      throw new Error('No application server key to resubscribe with');
+    }
+
+    subscription = await self.registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: options.applicationServerKey
+    });
+  }
+
+  const state = {
+    key: 'subscription',
+    subscription: subscription.toJSON(),
+    changedAt: Date.now(),
+    delivered: false
+  };
+
+  // Kept until an app window picks it up with GET_PUSH_STATE
+  await withStore(PUSH_STATE_STORE, 'readwrite', store => store.put(state));
+
+  await broadcastToClients({
+    type: 'PUSH_SUBSCRIPTION_CHANGED',
+    subscription: state.subscription,
+    changedAt: state.changedAt
+  });
+}
+
+async function getPushState() {
+  const state = await withStore(PUSH_STATE_STORE, 'readonly', store => store.get('subscription'));
+
+  if (state && !state.delivered) {
+    await withStore(PUSH_STATE_STORE, 'readwrite', store => store.put({ ...state, delivered: true }));
+  }
+
+  return state || null;
+}
+
+function buildNotificationOptions(notification) {
+  const config = NOTIFICATION_TYPES[notification.type] || {};
+  const priority = NOTIFICATION_PRIORITIES[notification.priority];
+  const tag = getNotificationTag(notification);
+
+  const options = {
+    body: notification.body,
+    icon: config.icon || NOTIFICATION_ICON,
+    badge: NOTIFICATION_BADGE,
+    tag: tag,
+    // Updates for the same booking replace the previous notification
+    renotify: !priority.silent,
+    silent: priority.silent,
+    requireInteraction: priority.requireInteraction,
+    actions: config.actions || [],
+    timestamp: Date.now(),
+    data: {
+      id: notification.id,
+      type: notification.type,
+      route: getNotificationRoute(notification),
+      payload: notification.data,
+      dateOfArrival: Date.now()
+    }
+  };
+
+  if (priority.vibrate) {
+    options.vibrate = priority.vibrate;
+  }
+
+  if (notification.imageUrl) {
+    options.image = notification.imageUrl;
+  }
+
+  return options;
+}
+
+// Notifications about the same booking or job share a tag
+function getNotificationTag(notification) {
+  const { bookingId, jobId } = notification.data;
+
+  if (jobId) return `job-${jobId}`;
+  if (bookingId) return `booking-${bookingId}`;
+
+  return notification.id ? `notification-${notification.id}` : notification.type;
+}
+
+// Resolve the in-app route a notification deep-links to
+function getNotificationRoute(notification) {
+  if (notification.actionUrl && notification.actionUrl.startsWith('/')) {
+    return notification.actionUrl;
+  }
+
+  const config = NOTIFICATION_TYPES[notification.type];
+
+  return config && config.route ? config.route(notification.data) : '/';
+}
+
+// Notification click handling
+self.addEventListener('notificationclick', event => {
+  debugLog('SW: Notification clicked:', event.action);
+  
+  event.notification.close();
+
+  if (event.action === 'dismiss') {
+    return;
+  }
+
+  if (NOTIFICATION_ACTIONS[event.action]) {
+    event.waitUntil(handleNotificationAction(event.notification, event.action));
+    return;
+  }
+
+  const data = event.notification.data || {};
+
+  event.waitUntil(openAppRoute(data.route || '/', {
+    type: 'NOTIFICATION_CLICK',
+    action: event.action || null,
+    notificationType: data.type,
+    notificationId: data.id,
+    payload: data.payload || {}
+  }));
+});
+
+// Run a notification action in an open page, or from the worker itself
+async function handleNotificationAction(notification, action) {
+  const config = NOTIFICATION_ACTIONS[action];
+  const data = notification.data || {};
+  let result;
+
+  if (config.local) {
+    result = await snoozeReminder(notification);
+  } else {
+    result = await dispatchActionToClient(action, data) ||
+      await performNotificationAction(config, data);
+  }
+
+  if (result.snoozed) return;
+
+  return showActionResult(notification, config, result);
+}
+
+// Hand the action to an open page, resolves null if nobody answers in time
+async function dispatchActionToClient(action, data) {
+  const reply = await requestFromClient({
+    type: 'NOTIFICATION_ACTION',
+    action: action,
+    notificationType: data.type,
+    notificationId: data.id,
+    payload: data.payload || {}
+  }, ACTION_CLIENT_TIMEOUT);
+
+  return reply && typeof reply.ok === 'boolean' ? reply : null;
+}
+
+// Message the focused (or a visible) window over a MessageChannel. Resolves
+// with its reply, or null without a window or an answer in time.
+async function requestFromClient(message, timeout) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+
+  const client = preferredClient(clientList);
+  if (!client) return null;
+
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), timeout);
+
+    channel.port1.onmessage = event => {
+      clearTimeout(timer);
+      resolve(event.data || null);
+    };
+
+    client.postMessage(message, [channel.port2]);
+  });
+}
+
+// Send the action request, going through the outbox when offline
+async function performNotificationAction(config, data) {
+  const endpoint = config.endpoint(data.payload || {});
+
+  if (!endpoint) {
+    console.warn('SW: Notification action is missing its booking/job id');
+    return { ok: false };
+  }
+
+  const request = new Request(endpoint, {
+    method: config.method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source: 'notification', notificationId: data.id }),
+    credentials: 'include'
+  });
+
+  try {
+    const response = await handleMutation(request);
+
+    return {
+      ok: response.ok,
+      queued: response.headers.get('X-Outbox-Queued') === 'true'
+    };
+  } catch (error) {
+    reportError('Notification action failed', error);
+    return { ok: false };
+  }
+}
+
+// Re-show a reminder later, using notification triggers where supported
+async function snoozeReminder(notification) {
+  const showAt = Date.now() + SNOOZE_DELAY;
+  const options = {
+    body: notification.body,
+    icon: notification.icon,
+    badge: notification.badge,
+    tag: notification.tag,
+    renotify: true,
+    actions: notification.actions,
+    data: notification.data
+  };
+
+  if (typeof TimestampTrigger !== 'undefined') {
+    await self.registration.showNotification(notification.title, {
+      ...options,
+      showTrigger: new TimestampTrigger(showAt)
+    });
+    return { ok: true, snoozed: true };
+  }
+
+  // Without triggers the worker would be stopped long before a timer fired,
+  // so the next reminder check shows the snooze once it is due
+  const startsAt = await getReminderStartTime((notification.data && notification.data.payload) || {});
+  await withStore(SNOOZED_REMINDERS_STORE, 'readwrite', store => store.put({
+    tag: notification.tag,
+    title: notification.title,
+    options: options,
+    dueAt: showAt,
+    startsAt: startsAt
+  }));
+
+  return { ok: true, snoozed: true };
+}
+
+// Start time of the booking a reminder is for, from the push or the stored booking
+async function getReminderStartTime(data) {
+  const startsAt = getBookingStartTime(data);
+  if (startsAt || !data.bookingId) return startsAt;
+
+  const booking = await withStore(UPCOMING_BOOKINGS_STORE, 'readonly', store => store.get(String(data.bookingId)));
+  return booking ? booking.startsAt : null;
+}
+
+async function showDueSnoozes() {
+  const now = Date.now();
+  const snoozes = await withStore(SNOOZED_REMINDERS_STORE, 'readonly', store => store.getAll());
+  const due = snoozes.filter(snooze => snooze.dueAt <= now);
+  if (due.length === 0) return;
+
+  // A worker woken long after the snooze ran out only drops it: the booking
+  // has started, or the reminder is older than a reminder's own lead time
+  const settings = await getReminderSettings();
+  const leadTime = (settings && settings.leadTime) || REMINDER_CONFIG.DEFAULT_LEAD_TIME;
+  const current = due.filter(snooze =>
+    !(snooze.startsAt && snooze.startsAt <= now) && now - snooze.dueAt <= leadTime
+  );
+
+  // Removed first so an overlapping check does not show them twice
+  await withStore(SNOOZED_REMINDERS_STORE, 'readwrite', store => {
+    due.forEach(snooze => store.delete(snooze.tag));
+  });
+  await Promise.all(current.map(snooze => self.registration.showNotification(snooze.title, snooze.options)));
+
+  debugLog(`SW: Showed ${current.length} snoozed reminders, dropped ${due.length - current.length} stale ones`);
+}
+
+// Replace the notification with the outcome of the action
+function showActionResult(notification, config, result) {
+  const data = notification.data || {};
+  let body = result.message || (result.ok ? config.success : config.failure);
+
+  if (result.queued) {
+    body = `${config.success} once you're back online`;
+  } else if (!result.ok) {
+    body = `${body}. Tap to open CareNow.`;
+  }
+
+  return self.registration.showNotification(notification.title, {
+    body: body,
+    icon: notification.icon || NOTIFICATION_ICON,
+    badge: NOTIFICATION_BADGE,
+    tag: notification.tag,
+    renotify: false,
+    silent: true,
+    data: { ...data, actionResult: result }
+  });
+}
+
+// Window URL for an in-app route under the hash URL strategy
+function appUrl(route) {
+  return new URL(`/#${route.startsWith('/') ? route : `/${route}`}`, self.location.origin).href;
+}
+
+// Focus an existing app window and route it, or open a new one
+async function openAppRoute(route, message) {
+  const url = appUrl(route);
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+
+  const client = clientList.find(c => new URL(c.url).origin === self.location.origin);
+
+  if (client) {
+    client.postMessage({ ...message, route: route });
+
+    // A hash-only change is a same-document navigation go_router picks up,
+    // so app state survives. Uncontrolled windows reject navigate().
+    const navigated = await client.navigate(url).catch(error => {
+      debugLog('SW: Could not navigate the open window:', error);
+      return null;
+    });
+
+    return (navigated || client).focus();
+  }
+
+  return self.clients.openWindow(url);
+}
+
+// Periodic Background Sync for booking reminders, registered by web_optimizer.js
+self.addEventListener('periodicsync', event => {
+  debugLog('SW: Periodic sync triggered:', event.tag);
+
+  if (event.tag === REMINDER_CONFIG.SYNC_TAG && !IS_MESSAGING_WORKER) {
+    event.waitUntil(checkBookingReminders({ refresh: true }));
+  }
+});
+
+// Signed-in user and lead time, set by pages with a BOOKING_REMINDERS message
+async function getReminderSettings() {
+  const setting = await withStore(SETTINGS_STORE, 'readonly', store =>
+    store.get(REMINDER_CONFIG.SETTINGS_KEY)
+  );
+  return setting ? setting.value : null;
+}
+
+function saveReminderSettings(value) {
+  return withStore(SETTINGS_STORE, 'readwrite', store =>
+    store.put({ key: REMINDER_CONFIG.SETTINGS_KEY, value: value })
+  );
+}
+
+// A null userId (signed out or reminders turned off) forgets the stored bookings
+async function configureBookingReminders({ userId, leadTimeMinutes }) {
+  const previous = await getReminderSettings();
+
+  if (!userId || (previous && previous.userId !== userId)) {
+    await withStore(UPCOMING_BOOKINGS_STORE, 'readwrite', store => store.clear());
+  }
+
+  if (!userId) {
+    await withStore(SNOOZED_REMINDERS_STORE, 'readwrite', store => store.clear());
+    await withStore(SETTINGS_STORE, 'readwrite', store => store.delete(REMINDER_CONFIG.SETTINGS_KEY));
+    return { enabled: false };
+  }
+
+  if (!FEATURES.bookingReminders) {
+    return { enabled: false };
+  }
+
+  const settings = {
+    userId: userId,
+    leadTime: leadTimeMinutes > 0 ? leadTimeMinutes * 60 * 1000 : REMINDER_CONFIG.DEFAULT_LEAD_TIME,
+    refreshedAt: previous && previous.userId === userId ? previous.refreshedAt : 0
+  };
+  await saveReminderSettings(settings);
+  await checkBookingReminders({ refresh: true });
+
+  return { enabled: true, leadTimeMinutes: settings.leadTime / 60000 };
+}
+
+// Refresh the stored bookings when asked to or when they are old, then show
+// the reminders that are due. Failed refreshes fall back to the stored copy.
+async function checkBookingReminders({ refresh = false } = {}) {
+  if (!FEATURES.serviceWorker || IS_MESSAGING_WORKER) return;
+
+  try {
+    // Pushed reminders can be snoozed too, so this runs without local reminders
+    await showDueSnoozes();
+    if (!FEATURES.bookingReminders) return;
+
+    const settings = await getReminderSettings();
+    if (!settings) return;
+
+    if (refresh || Date.now() - settings.refreshedAt > REMINDER_CONFIG.MIN_REFRESH_INTERVAL) {
+      try {
+        await refreshUpcomingBookings(settings);
+      } catch (error) {
+        console.warn('SW: Failed to refresh upcoming bookings, using stored copy:', error);
+      }
+    }
+
+    await showDueReminders(settings);
+  } catch (error) {
+    reportError('Booking reminder check failed', error);
+  }
+}
+
+// The API takes Firebase ID tokens, which only pages can mint, so an open
+// page supplies the Authorization header as it does for the outbox.
+// Periodic syncs often run with no page open; those send cookies only and
+// keep the stored bookings if the API refuses them.
+async function refreshUpcomingBookings(settings) {
+  const reply = await requestFromClient({ type: 'AUTHORIZATION_REQUEST', url: REMINDER_CONFIG.ENDPOINT }, REMINDER_CONFIG.AUTH_TIMEOUT);
+  const headers = { Accept: 'application/json' };
+  if (reply && reply.authorization) {
+    headers.Authorization = reply.authorization;
+  }
+
+  const response = await dedupedFetch(new Request(new URL(REMINDER_CONFIG.ENDPOINT, self.location.origin).href, {
+    headers: headers,
+    credentials: 'include'
+  }));
+
+  if (!response.ok) {
+    throw new Error(`Upcoming bookings request failed with ${response.status}`);
+  }
+
+  const body = await response.json();
+  const bookings = (Array.isArray(body) ? body : body.bookings || [])
+    .map(toUpcomingBooking)
+    .filter(booking => booking && (!booking.userId || booking.userId === settings.userId));
+
+  const stored = await withStore(UPCOMING_BOOKINGS_STORE, 'readonly', store => store.getAll());
+  const storedById = new Map(stored.map(entry => [entry.bookingId, entry]));
+
+  await withStore(UPCOMING_BOOKINGS_STORE, 'readwrite', store => {
+    store.clear();
+    bookings.forEach(booking => {
+      const previous = storedById.get(booking.bookingId);
+      // A rescheduled booking gets a new reminder
+      const reminded = previous && previous.remindedAt &&
+        (!previous.startsAt || previous.startsAt === booking.startsAt);
+
+      store.put({ ...booking, remindedAt: reminded ? previous.remindedAt : null });
+    });
+  });
+
+  await saveReminderSettings({ ...settings, refreshedAt: Date.now() });
+  debugLog(`SW: Stored ${bookings.length} upcoming bookings`);
+}
+
+// Accepts the Booking JSON from booking.dart (scheduledDate plus an HH:mm
+// timeSlot) or a precomputed startsAt
+function toUpcomingBooking(booking) {
+  if (!booking || !booking.id) return null;
+
+  const startsAt = getBookingStartTime(booking);
+  if (!startsAt) return null;
+
+  return {
+    bookingId: String(booking.id),
+    userId: booking.userId || null,
+    serviceName: booking.serviceName || null,
+    partnerName: booking.partnerName || null,
+    status: booking.status || null,
+    startsAt: startsAt
+  };
+}
+
+function getBookingStartTime(data) {
+  if (data.startsAt) {
+    return Date.parse(data.startsAt) || null;
+  }
+
+  const date = data.scheduledDate ? new Date(data.scheduledDate) : null;
+  if (!date || isNaN(date.getTime())) return null;
+
+  const time = /^(\d{1,2}):(\d{2})/.exec(data.timeSlot || '');
+  if (time) {
+    date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+  }
+
+  return date.getTime();
+}
+
+async function showDueReminders(settings) {
+  const now = Date.now();
+  const bookings = await withStore(UPCOMING_BOOKINGS_STORE, 'readonly', store => store.getAll());
+  const reminded = [];
+
+  for (const booking of bookings) {
+    if (booking.remindedAt || booking.startsAt <= now) continue;
+    if (booking.status && !REMINDER_CONFIG.REMINDABLE_STATUSES.includes(booking.status)) continue;
+
+    const remindAt = booking.startsAt - settings.leadTime;
+    const canSchedule = typeof TimestampTrigger !== 'undefined';
+    if (remindAt > now && !canSchedule) continue;
+
+    const notification = buildReminderNotification(booking);
+
+    // A pushed reminder for this booking may still be on screen
+    const shown = await self.registration.getNotifications({ tag: getNotificationTag(notification) });
+    const delivered = shown.some(existing => existing.data && existing.data.type === 'booking_reminder');
+
+    if (!delivered && remindAt > now) {
+      await self.registration.showNotification(notification.title, {
+        ...buildNotificationOptions(notification),
+        showTrigger: new TimestampTrigger(remindAt)
+      });
+    } else if (!delivered) {
+      await presentNotification(notification);
+    }
+
+    reminded.push({ ...booking, remindedAt: now });
+  }
+
+  // Bookings that have started no longer need reminding
+  await withStore(UPCOMING_BOOKINGS_STORE, 'readwrite', store => {
+    bookings
+      .filter(booking => booking.startsAt && booking.startsAt <= now)
+      .forEach(booking => store.delete(booking.bookingId));
+    reminded.forEach(booking => store.put(booking));
+  });
+
+  if (reminded.length > 0) {
+    debugLog(`SW: Showed ${reminded.length} booking reminders`);
+  }
+}
+
+// Same shape as a parsed push so the reminder looks and behaves like a pushed one
+function buildReminderNotification(booking) {
+  const time = new Date(booking.startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const service = booking.serviceName || 'Your booking';
+  const partner = booking.partnerName ? ` with ${booking.partnerName}` : '';
+
+  return {
+    id: `reminder-${booking.bookingId}`,
+    type: 'booking_reminder',
+    title: NOTIFICATION_TYPES.booking_reminder.title,
+    body: `${service}${partner} starts at ${time}`,
+    priority: 'normal',
+    data: { bookingId: booking.bookingId, serviceName: booking.serviceName, source: 'local' }
+  };
+}
+
+// Pushed reminders count as delivered, so the local check does not repeat them
+async function recordReminderDelivered(data) {
+  const bookingId = String(data.bookingId);
+  const stored = await withStore(UPCOMING_BOOKINGS_STORE, 'readonly', store => store.get(bookingId));
+
+  await withStore(UPCOMING_BOOKINGS_STORE, 'readwrite', store => store.put({
+    bookingId: bookingId,
+    startsAt: getBookingStartTime(data),
+    ...stored,
+    remindedAt: Date.now()
+  }));
+}
+
+// Cache names carry a hash so the user id itself never shows up in storage
+async function hashUserId(userId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`carenow:${userId}`));
+
+  return Array.from(new Uint8Array(digest).slice(0, 8))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Sent by the auth flow after sign-in; switching accounts wipes the previous user first
+async function setCurrentUser(userId) {
+  if (!userId) {
+    return signOutUser();
+  }
+
+  const userHash = await hashUserId(String(userId));
+  if (userHash === currentUserHash) {
+    return { userHash: userHash, purged: null };
+  }
+
+  // Switch first, so currentUserPlugin drops responses still in flight for
+  // the previous user instead of recreating the caches purged below
+  const previousHash = currentUserHash;
+  currentUserHash = userHash;
+  await withStore(SETTINGS_STORE, 'readwrite', store => store.put({ key: 'currentUser', value: userHash }));
+
+  const purged = previousHash ? await purgeUserData(previousHash) : null;
+
+  debugLog('SW: Signed-in user changed');
+  return { userHash: userHash, purged: purged };
+}
+
+async function signOutUser() {
+  const previousHash = currentUserHash;
+  currentUserHash = null;
+  await withStore(SETTINGS_STORE, 'readwrite', store => store.delete('currentUser'));
+
+  const purged = await purgeUserData(previousHash);
+
+  debugLog('SW: User signed out');
+  return { userHash: null, purged: purged };
+}
+
+// Remove everything that belongs to a user: their caches, queued requests
+// (which carry their credentials), push routing and booking reminders
+async function purgeUserData(userHash) {
+  inFlightRequests.clear();
+  broadcastPlugins.forEach(plugin => plugin.clear());
+
+  const cacheNames = userHash
+    ? (await caches.keys()).filter(name => name.startsWith(userCachePrefix(userHash)))
+    : [];
+  await Promise.all(cacheNames.map(name => caches.delete(name)));
+  await cleanupCacheMetadata(new Set(await caches.keys()));
+
+  const outbox = await withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+  await withStore(OUTBOX_STORE, 'readwrite', store => store.clear());
+  await Promise.all(outbox.map(entry => notifyOutboxStatus('discarded', entry, { reason: 'signed-out' })));
+
+  await withStore(PUSH_STATE_STORE, 'readwrite', store => store.clear());
+  const notifications = await self.registration.getNotifications();
+  notifications.forEach(notification => notification.close());
+
+  // Pushes for the previous user must not reach this device; the app
+  // subscribes again with a fresh FCM token for the next user. The FCM
+  // subscription itself sits on the firebase-messaging-sw.js registration,
+  // which WebOptimizer.revokeMessagingSubscription() unsubscribes.
+  const subscription = self.registration.pushManager
+    ? await self.registration.pushManager.getSubscription()
+    : null;
+  if (subscription) {
+    await subscription.unsubscribe().catch(error => {
+      console.warn('SW: Failed to unsubscribe from push:', error);
+    });
+  }
+
+  await configureBookingReminders({ userId: null });
+
+  return {
+    caches: cacheNames,
+    outboxEntries: outbox.length,
+    notifications: notifications.length,
+    pushUnsubscribed: Boolean(subscription)
+  };
+}
+
+// Pages send SKIP_WAITING when the user accepts an update, or with reason
+// 'idle' from a hidden tab. Idle updates wait while any tab is visible so
+// nobody has the page reload under them; the reply says which happened.
+async function activateWaitingWorker(reason, port) {
+  if (reason === 'idle') {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (windows.some(client => client.visibilityState === 'visible')) {
+      debugLog('SW: Idle update postponed, a tab is visible');
+      if (port) port.postMessage({ activated: false });
+      return;
+    }
+  }
+
+  if (port) port.postMessage({ activated: true });
+  await self.skipWaiting();
+}
+
+// Message handling from main thread
+self.addEventListener('message', event => {
+  debugLog('SW: Message received:', event.data);
+  
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    event.waitUntil(activateWaitingWorker(event.data.reason, event.ports[0]));
+  }
+  
+  if (event.data && event.data.type === 'GET_VERSION') {
+    event.ports[0].postMessage({
+      version: APP_VERSION,
+      build: SW_CONFIG.version,
+      environment: RUNTIME_CONFIG.environment
+    });
+  }
+  
+  if (event.data && event.data.type === 'NETWORK_QUALITY') {
+    // After loadSettings, so a stored report cannot overwrite this one
+    event.waitUntil(settingsLoaded
+      .then(() => setClientNetworkState(event.data))
+      .catch(error => reportError('Failed to store network quality', error)));
+  }
+  
+  // Sent by pages when the browser comes back online
+  if (event.data && event.data.type === 'REPLAY_OUTBOX') {
+    event.waitUntil(Promise.all([replayOutbox(), refreshStaleEntries()]));
+  }
+  
+  if (event.data && event.data.type === 'GET_PUSH_STATE') {
+    event.waitUntil(
+      getPushState()
+        .then(state => event.ports[0].postMessage({ state: state }))
+        .catch(error => event.ports[0].postMessage({ state: null, error: error.message }))
+    );
+  }
+  
+  // Local stand-in for a push sender: runs a payload through the push handler.
+  // Only development and verbose builds, or any page could show notifications.
+  if (event.data && event.data.type === 'SIMULATE_PUSH' && PUSH_SIMULATION_ENABLED) {
+    event.waitUntil(handlePush(event.data.payload || {}, { background: event.data.background }));
+  }
+  
+  // Sent by pages when the user signs in or out, or changes the lead time
+  if (event.data && event.data.type === 'BOOKING_REMINDERS') {
+    event.waitUntil(
+      configureBookingReminders(event.data)
+        .then(result => event.ports[0] && event.ports[0].postMessage(result))
+        .catch(error => {
+          reportError('Failed to configure booking reminders', error);
+          if (event.ports[0]) event.ports[0].postMessage({ enabled: false, error: error.message });
+        })
+    );
+  }
+  
+  // Fallback for browsers without Periodic Background Sync, sent when a page becomes visible
+  if (event.data && event.data.type === 'CHECK_BOOKING_REMINDERS') {
+    event.waitUntil(checkBookingReminders());
+  }
+  
+  // Sent by the auth flow through web_optimizer.js: USER_CHANGED after
+  // sign-in or an account switch, LOGOUT on sign-out
+  if (event.data && (event.data.type === 'USER_CHANGED' || event.data.type === 'LOGOUT')) {
+    const port = event.ports[0];
+    const { type, userId } = event.data;
+    // A worker woken by this message must know whose data to purge first
+    const change = settingsLoaded.then(() => type === 'LOGOUT' ? signOutUser() : setCurrentUser(userId));
+
+    event.waitUntil(
+      change
+        .then(result => port && port.postMessage({ ok: true, ...result }))
+        .catch(error => {
+          reportError('Failed to switch user', error);
+          if (port) port.postMessage({ ok: false, error: error.message });
+        })
+    );
+  }
+  
+  // Support tooling, see handleDiagnostics()
+  if (event.data && event.data.type === 'DIAGNOSTICS' && event.ports[0]) {
+    event.waitUntil(handleDiagnostics(event.data, event.ports[0]));
+  }
+});
+
+// Diagnostics protocol for support cases. Pages send
+// { type: 'DIAGNOSTICS', protocol, id, command, ...args } with a MessageChannel
+// port and get { protocol, id, ok: true, result } or
+// { protocol, id, ok: false, error: { code, message } } back.
+const DIAGNOSTICS_PROTOCOL = 1;
+
+const DIAGNOSTICS_COMMANDS = {
+  GET_INFO: getDiagnosticsInfo,
+  LIST_CACHES: listCaches,
+  CLEAR_CACHES: clearCaches,
+  GET_OUTBOX: getOutboxContents,
+  GET_PUSH_STATE: getPushDiagnostics,
+  SET_LOGGING: setVerboseLogging,
+  GET_ROUTES: getRouteConfig
+};
+
+// Defaults to the runtime config; support can flip it per browser through SET_LOGGING
+let verboseLogging = Boolean(FEATURES.verboseLogging);
+
+function debugLog(...args) {
+  if (verboseLogging) {
+    console.log(...args);
+  }
+}
+
+function diagnosticsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function handleDiagnostics(message, port) {
+  const reply = body => port.postMessage({ protocol: DIAGNOSTICS_PROTOCOL, id: message.id, ...body });
+
+  try {
+    if (message.protocol !== DIAGNOSTICS_PROTOCOL) {
+      throw diagnosticsError(
+        'UNSUPPORTED_PROTOCOL',
+        `Worker speaks diagnostics protocol ${DIAGNOSTICS_PROTOCOL}, got ${message.protocol}`
+      );
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(DIAGNOSTICS_COMMANDS, message.command)) {
+      throw diagnosticsError('UNKNOWN_COMMAND', `Unknown diagnostics command: ${message.command}`);
+    }
+
+    reply({ ok: true, result: await DIAGNOSTICS_COMMANDS[message.command](message) });
+  } catch (error) {
+    reply({ ok: false, error: { code: error.code || 'INTERNAL', message: error.message } });
+  }
+}
+
+async function getDiagnosticsInfo() {
+  return {
+    version: APP_VERSION,
+    build: SW_CONFIG.version,
+    environment: RUNTIME_CONFIG.environment,
+    commit: RUNTIME_CONFIG.commit,
+    features: FEATURES,
+    protocol: DIAGNOSTICS_PROTOCOL,
+    role: IS_MESSAGING_WORKER ? 'messaging' : 'app',
+    scope: self.registration.scope,
+    verboseLogging: verboseLogging,
+    signedIn: Boolean(currentUserHash),
+    networkState: clientNetworkState,
+    commands: Object.keys(DIAGNOSTICS_COMMANDS)
+  };
+}
+
+// Entry counts and body sizes per cache; opaque responses have no readable size
+async function listCaches() {
+  const currentCaches = getCurrentCacheNames();
+  const names = await caches.keys();
+
+  const details = await Promise.all(names.map(async name => {
+    const cache = await caches.open(name);
+    const requests = await cache.keys();
+    let bytes = 0;
+    let opaque = 0;
+
+    for (const request of requests) {
+      const response = await cache.match(request);
+      if (!response) continue;
+
+      if (response.type === 'opaque') {
+        opaque++;
+      } else {
+        bytes += (await response.blob()).size;
+      }
+    }
+
+    return {
+      name: name,
+      entries: requests.length,
+      bytes: bytes,
+      opaqueEntries: opaque,
+      current: currentCaches.has(name)
+    };
+  }));
+
+  const estimate = self.navigator.storage && self.navigator.storage.estimate
+    ? await self.navigator.storage.estimate()
+    : {};
+
+  return {
+    caches: details,
+    usage: estimate.usage || null,
+    quota: estimate.quota || null
+  };
+}
+
+// Clears one cache by name, or every CareNow cache when none is given
+async function clearCaches({ cacheName }) {
+  let names;
+
+  if (cacheName) {
+    if (!(await caches.has(cacheName))) {
+      throw diagnosticsError('NOT_FOUND', `No cache named ${cacheName}`);
+    }
+    names = [cacheName];
+  } else {
+    names = (await caches.keys()).filter(name => name.startsWith(CACHE_PREFIX));
+  }
+
+  await Promise.all(names.map(name => caches.delete(name)));
+  await cleanupCacheMetadata(new Set(await caches.keys()));
+  broadcastPlugins.forEach(plugin => plugin.clear());
+
+  debugLog('SW: Cleared caches:', names);
+  return { cleared: names };
+}
+
+// Queued requests without bodies or header values, which can hold auth tokens
+async function getOutboxContents() {
+  const entries = await withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+
+  return {
+    entries: entries.map(entry => ({
+      id: entry.id,
+      method: entry.method,
+      url: entry.url,
+      headerNames: Object.keys(entry.headers || {}),
+      bodyBytes: entry.body ? entry.body.byteLength : 0,
+      idempotencyKey: entry.idempotencyKey,
+      queuedAt: entry.queuedAt,
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt,
+      lastError: entry.lastError
+    })),
+    maxAttempts: OUTBOX_CONFIG.MAX_ATTEMPTS
+  };
+}
+
+// Unlike getPushState() this leaves the "delivered" flag alone
+async function getPushDiagnostics() {
+  const pushManager = self.registration.pushManager;
+  const stored = await withStore(PUSH_STATE_STORE, 'readonly', store => store.get('subscription'));
+
+  const subscription = pushManager ? await pushManager.getSubscription() : null;
+  const permission = pushManager && pushManager.permissionState
+    ? await pushManager.permissionState({ userVisibleOnly: true }).catch(() => null)
+    : null;
+
+  return {
+    permission: permission,
+    subscription: subscription
+      ? { endpoint: subscription.endpoint, expirationTime: subscription.expirationTime }
+      : null,
+    lastChange: stored || null
+  };
+}
+
+async function setVerboseLogging({ verbose }) {
+  verboseLogging = Boolean(verbose);
+  await withStore(SETTINGS_STORE, 'readwrite', store =>
+    store.put({ key: 'verboseLogging', value: verboseLogging })
+  );
+
+  return { verboseLogging: verboseLogging };
+}
+
+function serializePattern(pattern) {
+  return { ...pattern, pattern: pattern.pattern ? pattern.pattern.source : null };
+}
+
+async function getRouteConfig() {
+  return {
+    build: SW_CONFIG.version,
+    precache: { cacheName: PRECACHE_CACHE, files: SW_CONFIG.precache.length },
+    routes: CACHE_PATTERNS.map(serializePattern),
+    defaultRoute: serializePattern(DEFAULT_PATTERN),
+    navigation: {
+      timeout: NAVIGATION_TIMEOUT,
+      appShell: APP_SHELL_URL,
+      offlinePage: OFFLINE_PAGE_URL
+    },
+    outbox: {
+      patterns: OUTBOX_PATTERNS.map(pattern => pattern.source),
+      methods: OUTBOX_METHODS,
+      maxAttempts: OUTBOX_CONFIG.MAX_ATTEMPTS
+    }
+  };
+}
+
+// The logging switch and signed-in user outlive the worker, which the
+// browser stops when idle
+async function loadSettings() {
+  try {
+    const setting = await withStore(SETTINGS_STORE, 'readonly', store => store.get('verboseLogging'));
+    if (setting) {
+      verboseLogging = Boolean(setting.value);
+    }
+
+    const user = await withStore(SETTINGS_STORE, 'readonly', store => store.get('currentUser'));
+    currentUserHash = user ? user.value : null;
+
+    const networkState = await withStore(SETTINGS_STORE, 'readonly', store => store.get('networkState'));
+    if (networkState) {
+      clientNetworkState = networkState.value;
+    }
+  } catch (error) {
+    console.warn('SW: Failed to load settings:', error);
+  }
+}
+
+const settingsLoaded = loadSettings();
+settingsLoaded.then(() => debugLog('SW: Service worker loaded successfully'));
+
+// Every wake-up is a chance to catch a due reminder when Periodic Sync is unavailable
+checkBookingReminders();
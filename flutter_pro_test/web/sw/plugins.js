@@ -0,0 +1,266 @@
+/**
+ * CareNow MVP - Service Worker Cache Plugins
+ * Expiration (maxAge and LRU maxEntries), cacheable-response filtering and
+ * broadcast updates for the strategies in strategies.js. Loaded by sw.js with
+ * importScripts() and by the Node test suite with require().
+ *
+ * Expiration metadata lives behind a small store interface so the worker can
+ * keep it in IndexedDB and tests in memory:
+ *   get(cacheName, url), put(entry), touch(cacheName, url, time),
+ *   getAll(cacheName), delete(entries)
+ * Entries look like { cacheName, url, storedAt, lastAccessed, size }.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CareNowSW = Object.assign(root.CareNowSW || {}, factory());
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Metadata store for tests and for workers without IndexedDB
+  class MemoryMetadataStore {
+    constructor() {
+      this.entries = new Map();
+    }
+
+    key(cacheName, url) {
+      return `${cacheName}\u0000${url}`;
+    }
+
+    async get(cacheName, url) {
+      return this.entries.get(this.key(cacheName, url)) || null;
+    }
+
+    async put(entry) {
+      this.entries.set(this.key(entry.cacheName, entry.url), { ...entry });
+    }
+
+    async touch(cacheName, url, time) {
+      const entry = this.entries.get(this.key(cacheName, url));
+      if (entry) entry.lastAccessed = time;
+    }
+
+    async getAll(cacheName) {
+      const entries = Array.from(this.entries.values());
+      return cacheName ? entries.filter(entry => entry.cacheName === cacheName) : entries;
+    }
+
+    async delete(entries) {
+      entries.forEach(entry => this.entries.delete(this.key(entry.cacheName, entry.url)));
+    }
+  }
+
+  // Remove entries from their caches and from the metadata store
+  async function deleteEntries(caches, store, entries) {
+    await Promise.all(entries.map(async entry => {
+      const cache = await caches.open(entry.cacheName);
+      await cache.delete(entry.url);
+    }));
+
+    await store.delete(entries);
+  }
+
+  // Refuses cached copies older than maxAge and keeps at most maxEntries per
+  // cache, evicting the least recently used. Also records storedAt for
+  // X-Cached-At, so routes without limits still use it.
+  class ExpirationPlugin {
+    constructor({ maxAge = 0, maxEntries = 0, store, logger = console } = {}) {
+      if (!store) {
+        throw new Error('ExpirationPlugin needs a metadata store');
+      }
+
+      this.maxAge = maxAge;
+      this.maxEntries = maxEntries;
+      this.store = store;
+      this.logger = logger;
+    }
+
+    isExpired(metadata, now) {
+      if (!this.maxAge) return false;
+
+      // Entries without metadata predate tracking, so their age is unknown
+      if (!metadata) return true;
+
+      return now - metadata.storedAt > this.maxAge;
+    }
+
+    async cachedResponseWillBeUsed({ cacheName, request, cachedResponse, state, scope }) {
+      let metadata = null;
+      try {
+        metadata = await this.store.get(cacheName, request.url);
+      } catch (error) {
+        this.logger.warn('SW: Failed to read cache metadata:', error);
+      }
+
+      if (metadata) state.storedAt = metadata.storedAt;
+      if (this.isExpired(metadata, scope.now())) return null;
+
+      // Record the hit for LRU eviction without holding up the response
+      Promise.resolve(this.store.touch(cacheName, request.url, scope.now())).catch(error => {
+        this.logger.warn('SW: Failed to update cache metadata:', error);
+      });
+
+      return cachedResponse;
+    }
+
+    async cacheDidUpdate({ cacheName, request, newResponse, scope }) {
+      const now = scope.now();
+
+      await this.store.put({
+        cacheName: cacheName,
+        url: request.url,
+        storedAt: now,
+        lastAccessed: now,
+        size: Number(newResponse.headers.get('content-length')) || 0
+      });
+
+      await this.expireEntries(cacheName, scope);
+    }
+
+    // Drop expired entries, then least recently used ones above maxEntries
+    async expireEntries(cacheName, scope) {
+      const entries = await this.store.getAll(cacheName);
+      const now = scope.now();
+
+      const expired = this.maxAge
+        ? entries.filter(entry => now - entry.storedAt > this.maxAge)
+        : [];
+
+      const live = entries
+        .filter(entry => !expired.includes(entry))
+        .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+      const overflow = this.maxEntries && live.length > this.maxEntries
+        ? live.slice(0, live.length - this.maxEntries)
+        : [];
+
+      const toDelete = [...expired, ...overflow];
+      if (toDelete.length > 0) {
+        await deleteEntries(scope.caches, this.store, toDelete);
+      }
+
+      return toDelete;
+    }
+  }
+
+  // Cache-Control directives as a map of lowercase name -> value (true if bare)
+  function parseCacheControl(header) {
+    const directives = {};
+
+    (header || '').split(',').forEach(part => {
+      const [name, value] = part.split('=');
+      if (name.trim()) {
+        directives[name.trim().toLowerCase()] = value === undefined ? true : value.trim();
+      }
+    });
+
+    return directives;
+  }
+
+  // Only stores responses with one of the given statuses, and never opaque,
+  // no-store, private or Vary: * responses. Shared caches (every cache not
+  // tied to one user) also skip answers to requests carrying credentials in
+  // an Authorization header unless the server marked them public.
+  class CacheableResponsePlugin {
+    constructor({ statuses = [200], shared = false } = {}) {
+      this.statuses = statuses;
+      this.shared = shared;
+    }
+
+    cacheWillUpdate({ request, response }) {
+      // Opaque responses hide their status and headers, so nothing says they are safe to keep
+      if (response.type === 'opaque' || !this.statuses.includes(response.status)) return null;
+
+      const requestDirectives = parseCacheControl(request.headers.get('cache-control'));
+      const directives = parseCacheControl(response.headers.get('cache-control'));
+      if (requestDirectives['no-store'] || directives['no-store'] || directives.private) return null;
+
+      if ((response.headers.get('vary') || '').trim() === '*') return null;
+
+      if (this.shared && request.headers.has('authorization') &&
+        !directives.public && !directives['s-maxage'] && !directives['must-revalidate']) {
+        return null;
+      }
+
+      return response;
+    }
+  }
+
+  // Compare validators, since reading both bodies would be wasteful
+  const DEFAULT_HEADERS_TO_CHECK = ['etag', 'last-modified', 'content-length'];
+
+  // Tells open pages when a cached copy changed, and when a copy served stale
+  // while offline has been refreshed, so the UI can reload data or drop its
+  // stale banner
+  class BroadcastUpdatePlugin {
+    constructor({ routeName, headersToCheck = DEFAULT_HEADERS_TO_CHECK, messageType = 'CACHE_UPDATED' } = {}) {
+      this.routeName = routeName;
+      this.headersToCheck = headersToCheck;
+      this.messageType = messageType;
+      // URL -> { strategy, request } for copies served stale
+      this.staleServed = new Map();
+    }
+
+    hasChanged(oldResponse, newResponse) {
+      return this.headersToCheck.some(header =>
+        oldResponse.headers.get(header) !== newResponse.headers.get(header)
+      );
+    }
+
+    cachedResponseServedStale({ request, strategy }) {
+      this.staleServed.set(request.url, { strategy, request: request.clone() });
+    }
+
+    async cacheDidUpdate({ request, oldResponse, newResponse, scope }) {
+      const wasStale = this.staleServed.delete(request.url);
+
+      if (wasStale || (oldResponse && this.hasChanged(oldResponse, newResponse))) {
+        await this.notify(scope, request.url);
+      }
+    }
+
+    async notify(scope, url) {
+      const clientList = await scope.clients.matchAll({
+        type: 'window',
+        includeUncontrolled: true
+      });
+
+      const message = {
+        type: this.messageType,
+        cacheName: this.routeName,
+        url: url,
+        updatedAt: scope.now()
+      };
+      clientList.forEach(client => client.postMessage(message));
+    }
+
+    // Refetch everything served stale; successes notify through cacheDidUpdate
+    async refreshStale() {
+      const entries = Array.from(this.staleServed.values());
+
+      await Promise.all(entries.map(async ({ strategy, request }) => {
+        try {
+          await strategy.fetchAndCache(request.clone());
+        } catch (error) {
+          // Still offline, try again on the next reconnect
+        }
+      }));
+    }
+
+    clear() {
+      this.staleServed.clear();
+    }
+  }
+
+  return {
+    MemoryMetadataStore,
+    deleteEntries,
+    parseCacheControl,
+    ExpirationPlugin,
+    CacheableResponsePlugin,
+    BroadcastUpdatePlugin
+  };
+});
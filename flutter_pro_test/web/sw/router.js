@@ -0,0 +1,63 @@
+/**
+ * CareNow MVP - Service Worker Router
+ * Matches requests to strategies from strategies.js. Routes are tried in
+ * registration order; requests nothing matches go to the default handler.
+ * Loaded by sw.js with importScripts() and by the Node test suite with require().
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CareNowSW = Object.assign(root.CareNowSW || {}, factory());
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  class Router {
+    constructor() {
+      this.routes = [];
+      this.defaultHandler = null;
+    }
+
+    // match is a RegExp tested against the full URL, or a function given
+    // { request, url } that returns a truthy value for requests it handles.
+    // handler is a strategy or anything with handle({ request, event }).
+    registerRoute(match, handler, method = 'GET') {
+      const matcher = match instanceof RegExp
+        ? ({ url }) => match.test(url.href)
+        : match;
+
+      if (typeof matcher !== 'function') {
+        throw new Error('Routes match with a RegExp or a function');
+      }
+
+      const route = { match: matcher, handler, method };
+      this.routes.push(route);
+      return route;
+    }
+
+    setDefaultHandler(handler) {
+      this.defaultHandler = handler;
+    }
+
+    // The handler for a request, or null when nothing (not even the default) applies
+    findHandler(request) {
+      const url = new URL(request.url);
+      const route = this.routes.find(candidate =>
+        candidate.method === request.method && candidate.match({ request, url })
+      );
+
+      if (route) return route.handler;
+      return request.method === 'GET' ? this.defaultHandler : null;
+    }
+
+    // Resolves with the handler's response, or undefined when no route applies
+    handleRequest({ request, event }) {
+      const handler = this.findHandler(request);
+      return handler ? handler.handle({ request, event }) : undefined;
+    }
+  }
+
+  return { Router };
+});
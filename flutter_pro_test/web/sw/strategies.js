@@ -0,0 +1,361 @@
+/**
+ * CareNow MVP - Service Worker Caching Strategies
+ * Cache-first, network-first, stale-while-revalidate, network-only and
+ * cache-only handlers with plugin hooks. Loaded by sw.js with importScripts()
+ * and by the Node test suite with require().
+ *
+ * cacheName is a string, or a function so the cache can follow the signed-in
+ * user; a function returning null turns caching off for that request.
+ *
+ * Plugins are plain objects with any of these hooks, run in order:
+ *   cacheWillUpdate({ cacheName, request, response, scope }) -> response to store, or null
+ *   cachedResponseWillBeUsed({ cacheName, request,
+ *     cachedResponse, state, scope })                      -> response if still usable, or null
+ *   cacheDidUpdate({ cacheName, request, oldResponse,
+ *     newResponse, strategy, scope })
+ *   cachedResponseServedStale({ cacheName, request, strategy, scope })
+ *
+ * `state` is shared by the hooks of one cache lookup; plugins set
+ * state.storedAt so responses can be marked with X-Cached-At.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CareNowSW = Object.assign(root.CareNowSW || {}, factory());
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const TIMED_OUT = Symbol('timed out');
+
+  // The parts of ServiceWorkerGlobalScope the strategies use; tests pass a fake
+  function workerScope(global) {
+    return {
+      caches: global.caches,
+      clients: global.clients,
+      fetch: request => global.fetch(request),
+      setTimeout: (callback, delay) => global.setTimeout(callback, delay),
+      clearTimeout: timer => global.clearTimeout(timer),
+      now: () => Date.now()
+    };
+  }
+
+  // Resolve with TIMED_OUT if the promise takes longer than timeout ms
+  function raceTimeout(promise, timeout, scope) {
+    if (!timeout) return promise;
+
+    let timer;
+    const timeoutPromise = new Promise(resolve => {
+      timer = scope.setTimeout(() => resolve(TIMED_OUT), timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => scope.clearTimeout(timer));
+  }
+
+  function defaultOfflineResponse() {
+    return new Response('Offline', { status: 503, headers: { 'X-Offline': 'true' } });
+  }
+
+  class Strategy {
+    constructor(options = {}) {
+      this.name = options.name || this.constructor.name;
+      this.cacheName = options.cacheName;
+      this.plugins = options.plugins || [];
+      this.scope = options.scope;
+      this.fetcher = options.fetch || (request => this.scope.fetch(request));
+      this.networkTimeout = options.networkTimeout || 0;
+      this.offlineResponse = options.offlineResponse || defaultOfflineResponse;
+      this.logger = options.logger || console;
+    }
+
+    // Router entry point
+    handle({ request, event }) {
+      return this._handle(request, event);
+    }
+
+    _handle() {
+      throw new Error(`${this.name} does not implement _handle()`);
+    }
+
+    getCacheName() {
+      return typeof this.cacheName === 'function' ? this.cacheName() : this.cacheName;
+    }
+
+    // Milliseconds, or a function so timeouts can follow network quality
+    getNetworkTimeout() {
+      return typeof this.networkTimeout === 'function' ? this.networkTimeout() : this.networkTimeout;
+    }
+
+    // Run one hook on every plugin. With pipeValue, each plugin gets the previous
+    // plugin's result in that parameter and a falsy result stops the chain.
+    async runHook(name, params, pipeValue) {
+      let value = pipeValue ? params[pipeValue] : undefined;
+
+      for (const plugin of this.plugins) {
+        if (typeof plugin[name] !== 'function') continue;
+
+        const args = { ...params, scope: this.scope };
+        if (pipeValue) args[pipeValue] = value;
+
+        const result = await plugin[name](args);
+        if (pipeValue) {
+          value = result || null;
+          if (!value) break;
+        }
+      }
+
+      return value;
+    }
+
+    // The cached copy (even if plugins reject it) and whether it may be served
+    async readCache(request) {
+      const cacheName = this.getCacheName();
+      const state = {};
+      const cachedResponse = cacheName
+        ? await (await this.scope.caches.open(cacheName)).match(request)
+        : undefined;
+
+      if (!cachedResponse) {
+        return { cachedResponse: undefined, usable: false, state };
+      }
+
+      const usable = await this.runHook('cachedResponseWillBeUsed', {
+        cacheName: cacheName,
+        request: request,
+        cachedResponse: cachedResponse,
+        state: state
+      }, 'cachedResponse');
+
+      return { cachedResponse, usable: Boolean(usable), state };
+    }
+
+    // Fetch and store a successful response, resolving with the network response.
+    // The cache is picked before fetching, so a response never lands in the
+    // cache of a user who signed in while it was in flight.
+    async fetchAndCache(request) {
+      const cacheName = this.getCacheName();
+      const response = await this.fetcher(request);
+
+      if (response.ok && cacheName) {
+        await this.putInCache(request, response.clone(), cacheName);
+      }
+
+      return response;
+    }
+
+    async putInCache(request, response, cacheName = this.getCacheName()) {
+      try {
+        const toStore = await this.runHook('cacheWillUpdate', { cacheName, request, response }, 'response');
+        if (!toStore) return;
+
+        const cache = await this.scope.caches.open(cacheName);
+        const oldResponse = await cache.match(request);
+        await cache.put(request, toStore);
+
+        await this.runHook('cacheDidUpdate', {
+          cacheName: cacheName,
+          request: request,
+          oldResponse: oldResponse,
+          newResponse: toStore,
+          strategy: this
+        });
+      } catch (error) {
+        this.logger.warn('SW: Failed to cache response:', error);
+      }
+    }
+
+    servedStale(request) {
+      return this.runHook('cachedResponseServedStale', {
+        cacheName: this.getCacheName(),
+        request: request,
+        strategy: this
+      });
+    }
+
+    raceTimeout(promise, timeout) {
+      return raceTimeout(promise, timeout, this.scope);
+    }
+
+    // Keep background work alive after the response has been returned
+    waitUntil(event, promise) {
+      if (event && typeof event.waitUntil === 'function') {
+        event.waitUntil(promise.catch(() => {}));
+      }
+      return promise;
+    }
+
+    // Cached responses say where they came from and when they were stored, so the
+    // Flutter UI can show "last updated 12 min ago"
+    markCachedResponse(response, state, status) {
+      // Opaque responses cannot be copied
+      if (response.type === 'opaque') return response;
+
+      const headers = new Headers(response.headers);
+      headers.set('X-Cache-Status', status);
+
+      if (state && state.storedAt) {
+        headers.set('X-Cached-At', new Date(state.storedAt).toISOString());
+      }
+
+      return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+      });
+    }
+  }
+
+  // Serve from cache, going to the network only for misses and expired copies
+  class CacheFirst extends Strategy {
+    async _handle(request) {
+      const { cachedResponse, usable, state } = await this.readCache(request);
+
+      if (usable) {
+        return this.markCachedResponse(cachedResponse, state, 'hit');
+      }
+
+      try {
+        return await this.fetchAndCache(request);
+      } catch (error) {
+        this.logger.warn('SW: Network failed, serving stale cache:', error);
+        return cachedResponse
+          ? this.markCachedResponse(cachedResponse, state, 'stale')
+          : this.offlineResponse(request);
+      }
+    }
+  }
+
+  // Network first, falling back to the cache when the network is down or
+  // slower than the timeout
+  class NetworkFirst extends Strategy {
+    async _handle(request, event) {
+      const networkPromise = this.fetchAndCache(request);
+
+      try {
+        const response = await this.raceTimeout(networkPromise, this.getNetworkTimeout());
+        if (response !== TIMED_OUT) return response;
+
+        const { cachedResponse, usable, state } = await this.readCache(request);
+        if (!usable) {
+          return await networkPromise;
+        }
+
+        // The request keeps going in the background and updates the cache
+        this.logger.warn('SW: Network timed out, serving cache:', request.url);
+        await this.servedStale(request);
+        this.waitUntil(event, networkPromise);
+
+        return this.markCachedResponse(cachedResponse, state, 'stale');
+      } catch (error) {
+        this.logger.warn('SW: Network failed, trying cache:', error);
+        const { cachedResponse, usable, state } = await this.readCache(request);
+
+        if (usable) {
+          // Refresh it once the connection is back so the UI can drop its stale banner
+          await this.servedStale(request);
+          return this.markCachedResponse(cachedResponse, state, 'stale');
+        }
+
+        return this.offlineResponse(request);
+      }
+    }
+  }
+
+  // Serve the cached copy and revalidate in the background. Copies younger
+  // than revalidateAfter are not revalidated; skipRevalidation() can pause
+  // revalidation entirely (lite mode) while a usable copy exists.
+  class StaleWhileRevalidate extends Strategy {
+    constructor(options = {}) {
+      super(options);
+      this.revalidateAfter = options.revalidateAfter || 0;
+      this.skipRevalidation = options.skipRevalidation || (() => false);
+    }
+
+    async _handle(request, event) {
+      const { cachedResponse, usable, state } = await this.readCache(request);
+
+      const fresh = state.storedAt && this.scope.now() - state.storedAt < this.revalidateAfter;
+      if (usable && (fresh || this.skipRevalidation())) {
+        return this.markCachedResponse(cachedResponse, state, 'hit');
+      }
+
+      const networkPromise = this.fetchAndCache(request)
+        .catch(error => {
+          this.logger.warn('SW: Background fetch failed:', error);
+        });
+
+      if (usable) {
+        this.waitUntil(event, networkPromise);
+        return this.markCachedResponse(cachedResponse, state, 'hit');
+      }
+
+      // An expired copy still beats waiting on a slow network
+      const networkResponse = cachedResponse
+        ? await this.raceTimeout(networkPromise, this.getNetworkTimeout())
+        : await networkPromise;
+      if (networkResponse && networkResponse !== TIMED_OUT) return networkResponse;
+
+      this.waitUntil(event, networkPromise);
+      return cachedResponse
+        ? this.markCachedResponse(cachedResponse, state, 'stale')
+        : this.offlineResponse(request);
+    }
+  }
+
+  class NetworkOnly extends Strategy {
+    _handle(request) {
+      return this.fetcher(request);
+    }
+  }
+
+  class CacheOnly extends Strategy {
+    async _handle(request) {
+      const { cachedResponse, state } = await this.readCache(request);
+
+      if (!cachedResponse) {
+        return new Response('Not in cache', { status: 404 });
+      }
+
+      return this.markCachedResponse(cachedResponse, state, 'hit');
+    }
+  }
+
+  // Strategy names used in web/sw-routes.json; registerStrategy() adds more
+  const STRATEGIES = {
+    'cache-first': CacheFirst,
+    'network-first': NetworkFirst,
+    'stale-while-revalidate': StaleWhileRevalidate,
+    'network-only': NetworkOnly,
+    'cache-only': CacheOnly
+  };
+
+  function registerStrategy(name, StrategyClass) {
+    STRATEGIES[name] = StrategyClass;
+  }
+
+  function createStrategy(name, options) {
+    const StrategyClass = Object.prototype.hasOwnProperty.call(STRATEGIES, name) ? STRATEGIES[name] : null;
+    if (!StrategyClass) {
+      throw new Error(`Unknown caching strategy: ${name}`);
+    }
+
+    return new StrategyClass({ name, ...options });
+  }
+
+  return {
+    TIMED_OUT,
+    workerScope,
+    raceTimeout,
+    Strategy,
+    CacheFirst,
+    NetworkFirst,
+    StaleWhileRevalidate,
+    NetworkOnly,
+    CacheOnly,
+    STRATEGIES,
+    registerStrategy,
+    createStrategy
+  };
+});
@@ -6,119 +6,1891 @@
 (function() {
     'use strict';
 
+    // Version, environment and feature switches from runtime-config.js, which
+    // index.html loads first; sw.js imports the same file
+    const RUNTIME_CONFIG = window.CARENOW_RUNTIME_CONFIG || {
+        environment: 'production',
+        version: 'v1.0.0',
+        commit: null
+    };
+    const RUNTIME_TELEMETRY = RUNTIME_CONFIG.telemetry || {};
+    const RUNTIME_FEATURES = RUNTIME_CONFIG.features || {};
+    const RUNTIME_REMINDERS = RUNTIME_CONFIG.reminders || {};
+
     // Configuration
     const CONFIG = {
-        CACHE_VERSION: 'v1.0.0',
-        CACHE_NAME: 'carenow-cache-v1',
+        ENVIRONMENT: RUNTIME_CONFIG.environment,
+        CACHE_VERSION: RUNTIME_CONFIG.version,
+        COMMIT: RUNTIME_CONFIG.commit,
+        // Same naming as the runtime caches in sw.js, which keeps this one on activate.
+        // Keyed on the commit so each deploy starts a new cache.
+        CACHE_PREFIX: `carenow-${RUNTIME_CONFIG.environment}-`,
+        CACHE_NAME: `carenow-${RUNTIME_CONFIG.environment}-page-${RUNTIME_CONFIG.commit || RUNTIME_CONFIG.version}`,
+        FEATURES: {
+            SERVICE_WORKER: RUNTIME_FEATURES.serviceWorker !== false,
+            BOOKING_REMINDERS: RUNTIME_FEATURES.bookingReminders !== false
+        },
         PERFORMANCE_BUDGET: {
             FCP: 2000,  // First Contentful Paint (ms)
             LCP: 2500,  // Largest Contentful Paint (ms)
             FID: 100,   // First Input Delay (ms)
-            CLS: 0.1    // Cumulative Layout Shift
+            INP: 200,   // Interaction to Next Paint (ms)
+            CLS: 0.1,   // Cumulative Layout Shift
+            TTFB: 800,  // Time to First Byte (ms)
+            TBT: 200    // Total Blocking Time from long tasks (ms)
+        },
+        // Values above these are rated "poor", between budget and these "needs-improvement"
+        PERFORMANCE_POOR_THRESHOLD: {
+            FCP: 3000,
+            LCP: 4000,
+            FID: 300,
+            INP: 500,
+            CLS: 0.25,
+            TTFB: 1800,
+            TBT: 600
         },
+        // Startup timings from flutter_bootstrap.js, measured from navigation start (ms)
+        STARTUP_BUDGET: {
+            'engine-init': 3000,
+            'first-frame': 4000
+        },
+        SW_REGISTER_FALLBACK_DELAY: 15 * 1000, // Register anyway if no first frame by then (ms)
         LAZY_LOAD_THRESHOLD: 50, // pixels
-        IMAGE_QUALITY: 0.8,
+        UPDATE_IDLE_TIMEOUT: 5 * 60 * 1000, // Hidden this long counts as idle (ms)
+        UPDATE_RELOAD_GUARD: 10 * 1000, // Minimum gap between update reloads (ms)
+        DIAGNOSTICS_TIMEOUT: 15 * 1000, // Listing large caches reads every entry (ms)
+        USER_CHANGE_TIMEOUT: 15 * 1000, // Purging a user deletes their caches and outbox (ms)
+        TELEMETRY: {
+            ENDPOINT: RUNTIME_TELEMETRY.endpoint || null, // HTTP collector URL, gtag only when unset
+            SAMPLE_RATE: RUNTIME_TELEMETRY.sampleRate !== undefined ? RUNTIME_TELEMETRY.sampleRate : 1, // Share of sessions that report (0-1)
+            BATCH_SIZE: 20,
+            MAX_QUEUE_SIZE: 100,
+            FLUSH_INTERVAL: 30 * 1000 // ms
+        },
+        ERROR_REPORTING: {
+            ENDPOINT: (RUNTIME_CONFIG.errorReporting && RUNTIME_CONFIG.errorReporting.endpoint) || null, // Crash report collector, falls back to telemetry when unset
+            MAX_BREADCRUMBS: 20,
+            MAX_ERRORS_PER_MINUTE: 10,
+            DEDUPE_WINDOW: 60 * 1000, // ms
+            BATCH_SIZE: 10,
+            MAX_BUFFERED: 100, // Reports kept in IndexedDB while offline
+            FLUSH_INTERVAL: 15 * 1000 // ms
+        },
+        ADAPTIVE_LOADING: {
+            LITE_NETWORK_TYPES: ['slow-2g', '2g'],
+            LOW_DEVICE_MEMORY: 1, // GB, at or below this runs in lite mode
+            LITE_TELEMETRY_BATCH_SIZE: 5
+        },
+        TABS: {
+            CHANNEL: 'carenow-tabs', // BroadcastChannel shared by every CareNow tab
+            LOCK_NAME: 'carenow-leader', // Web Lock the leader tab holds
+            HEARTBEAT_INTERVAL: 2000, // Leader heartbeats without Web Locks (ms)
+            LEADER_TIMEOUT: 5000 // Missed heartbeats for this long hand leadership on (ms)
+        },
+        ROUTES: {
+            HISTORY_MATCH_WINDOW: 1000, // A Flutter route change this soon after a URL change started with it (ms)
+            LATE_ENTRY_WINDOW: 1000, // How long a finished visit still collects entries that started during it (ms)
+            MAX_SOFT_NAVIGATIONS: 20, // Recent soft-navigation timings kept per route
+            MAX_HISTORY: 50 // Recent routes kept to attribute late performance entries
+        },
+        BOOKING_REMINDERS: {
+            SYNC_TAG: 'booking-reminders', // Must match REMINDER_CONFIG.SYNC_TAG in sw.js
+            MIN_INTERVAL: (RUNTIME_REMINDERS.periodicSyncMinutes || 720) * 60 * 1000, // ms between periodic syncs
+            CONFIGURE_TIMEOUT: 15 * 1000 // The worker fetches upcoming bookings before replying (ms)
+        },
+        IMAGES: {
+            MANIFEST_URL: '/image-manifest.json', // Written by scripts/generate_image_variants.js
+            DEFAULT_SIZES: '100vw',
+            LITE_MAX_WIDTH: 640 // px, widest variant offered in lite mode
+        },
         COMPRESSION_ENABLED: true
     };
 
-    // Performance monitoring
-    class PerformanceMonitor {
+    // Telemetry transports: send(batch, { beacon }) resolves true on success
+    class GtagTransport {
+        send(batch) {
+            if (!window.gtag) return Promise.resolve(false);
+
+            batch.events.forEach(event => {
+                window.gtag('event', event.type === 'metric' ? 'performance_metric' : event.type, {
+                    metric_name: event.name,
+                    metric_value: typeof event.value === 'object'
+                        ? JSON.stringify(event.value)
+                        : event.value,
+                    session_id: batch.context.sessionId,
+                    app_version: batch.context.appVersion
+                });
+            });
+
+            return Promise.resolve(true);
+        }
+    }
+
+    // Posts JSON batches to our own collector
+    class HttpTransport {
+        constructor(endpoint) {
+            this.endpoint = endpoint;
+        }
+
+        send(batch, { beacon = false } = {}) {
+            const body = JSON.stringify(batch);
+
+            // sendBeacon survives page unload; it returns false when the payload is refused
+            if (beacon && navigator.sendBeacon &&
+                navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+                return Promise.resolve(true);
+            }
+
+            return fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body,
+                keepalive: true
+            })
+                .then(response => response.ok)
+                .catch(() => false);
+        }
+    }
+
+    // Keeps batches in memory, for tests and local debugging
+    class MemoryTransport {
+        constructor({ log = false } = {}) {
+            this.batches = [];
+            this.log = log;
+        }
+
+        send(batch) {
+            this.batches.push(batch);
+            if (this.log) {
+                console.log('Telemetry batch:', batch);
+            }
+            return Promise.resolve(true);
+        }
+    }
+
+    // Coordinates the open CareNow tabs. One tab is elected leader and runs
+    // the once-per-user work (telemetry upload, outbox replay, update prompts);
+    // events every tab must see go out on a BroadcastChannel. The leader holds
+    // a Web Lock until it closes; browsers without Web Locks elect by
+    // heartbeats, where the lowest tab id wins a tie.
+    class TabCoordinator {
         constructor() {
-            this.metrics = {};
-            this.observers = [];
+            this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            this.leader = false;
+            this.leaderId = null;
+            this.lastHeartbeat = 0;
+            this.useHeartbeats = false;
+            this.handlers = {};
+            this.leaderCallbacks = [];
+            this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(CONFIG.TABS.CHANNEL) : null;
             this.init();
         }
 
         init() {
-            if (typeof window !== 'undefined') {
-                this.setupPerformanceObserver();
-                this.setupIntersectionObserver();
-                this.monitorNetworkConditions();
-                this.trackUserInteractions();
+            if (this.channel) {
+                this.channel.onmessage = (event) => this.handleMessage(event.data || {});
+            }
+
+            if (navigator.locks && navigator.locks.request) {
+                this.electWithLock();
+            } else if (this.channel) {
+                this.electWithHeartbeats();
+            } else {
+                // No way to reach other tabs, so this one does everything
+                this.becomeLeader();
+            }
+
+            // An existing leader answers, so followers know where to send telemetry
+            this.post('hello');
+
+            window.addEventListener('pagehide', () => {
+                if (this.leader) this.post('resign');
+            });
+        }
+
+        electWithLock() {
+            navigator.locks.request(CONFIG.TABS.LOCK_NAME, () => {
+                this.becomeLeader();
+
+                // Held until the tab closes, then the browser grants it to the next tab
+                return new Promise(() => {});
+            }).catch(error => {
+                console.log('Leader lock failed:', error);
+                if (this.channel) {
+                    this.electWithHeartbeats();
+                } else {
+                    this.becomeLeader();
+                }
+            });
+        }
+
+        electWithHeartbeats() {
+            this.useHeartbeats = true;
+            // Claim after one interval unless a leader answers hello
+            this.lastHeartbeat = Date.now() - CONFIG.TABS.LEADER_TIMEOUT;
+
+            setInterval(() => {
+                if (this.leader) {
+                    this.post('heartbeat');
+                } else if (Date.now() - this.lastHeartbeat > CONFIG.TABS.LEADER_TIMEOUT) {
+                    this.becomeLeader();
+                }
+            }, CONFIG.TABS.HEARTBEAT_INTERVAL);
+        }
+
+        handleMessage(message) {
+            switch (message.type) {
+                case 'hello':
+                    if (this.leader) this.post('leader');
+                    break;
+
+                case 'leader':
+                case 'heartbeat':
+                    this.leaderId = message.tabId;
+                    this.lastHeartbeat = Date.now();
+
+                    // Two tabs claimed at once; only heartbeat election can get here
+                    if (this.leader && this.useHeartbeats) {
+                        if (message.tabId < this.tabId) {
+                            this.resign();
+                        } else {
+                            this.post('heartbeat');
+                        }
+                    }
+                    break;
+
+                case 'resign':
+                    if (message.tabId === this.leaderId) {
+                        this.leaderId = null;
+                        this.lastHeartbeat = 0;
+                    }
+                    break;
+
+                default:
+                    (this.handlers[message.type] || []).forEach(handler => {
+                        try {
+                            handler(message.payload || {}, message.tabId);
+                        } catch (error) {
+                            console.log(`Tab message handler for ${message.type} failed:`, error);
+                        }
+                    });
+            }
+        }
+
+        post(type, payload) {
+            if (this.channel) {
+                this.channel.postMessage({ type, tabId: this.tabId, payload });
+            }
+        }
+
+        becomeLeader() {
+            if (this.leader) return;
+
+            this.leader = true;
+            this.leaderId = this.tabId;
+            this.post('leader');
+            this.dispatchLeaderChange();
+
+            const callbacks = this.leaderCallbacks.splice(0, this.leaderCallbacks.length);
+            callbacks.forEach(callback => this.runAsLeader(callback));
+        }
+
+        resign() {
+            this.leader = false;
+            this.dispatchLeaderChange();
+        }
+
+        dispatchLeaderChange() {
+            window.dispatchEvent(new CustomEvent('carenow:tab-leader', {
+                detail: { leader: this.leader, tabId: this.tabId }
+            }));
+        }
+
+        runAsLeader(callback) {
+            Promise.resolve()
+                .then(callback)
+                .catch(error => {
+                    console.log('Leader task failed:', error);
+                });
+        }
+
+        isLeader() {
+            return this.leader;
+        }
+
+        // Whether some other tab is known to be leading right now
+        hasOtherLeader() {
+            if (this.leader || !this.leaderId) return false;
+            return !this.useHeartbeats || Date.now() - this.lastHeartbeat <= CONFIG.TABS.LEADER_TIMEOUT;
+        }
+
+        // Runs callback now in the leader, or once this tab becomes leader
+        whenLeader(callback) {
+            if (this.leader) {
+                this.runAsLeader(callback);
+            } else {
+                this.leaderCallbacks.push(callback);
+            }
+        }
+
+        // Send an event to every other tab; handlers get (payload, tabId)
+        broadcast(type, payload = {}) {
+            this.post(type, payload);
+        }
+
+        // Returns a function that removes the handler
+        on(type, handler) {
+            this.handlers[type] = (this.handlers[type] || []).concat(handler);
+            return () => {
+                this.handlers[type] = this.handlers[type].filter(item => item !== handler);
+            };
+        }
+    }
+
+    // Batches, samples and flushes telemetry events to every transport. Only
+    // the leader tab uploads; the others hand their events to it.
+    class TelemetryReporter {
+        constructor(options = {}) {
+            this.transports = options.transports || [];
+            this.tabs = options.tabs || null;
+            this.batchSize = options.batchSize || CONFIG.TELEMETRY.BATCH_SIZE;
+            this.maxQueueSize = options.maxQueueSize || CONFIG.TELEMETRY.MAX_QUEUE_SIZE;
+            this.flushInterval = options.flushInterval || CONFIG.TELEMETRY.FLUSH_INTERVAL;
+            this.queue = [];
+            this.route = null;
+            this.pageHideHooks = [];
+            this.sessionId = this.getSessionId();
+
+            // Sampling is decided once per session so a session reports all or nothing
+            const sampleRate = options.sampleRate !== undefined
+                ? options.sampleRate
+                : CONFIG.TELEMETRY.SAMPLE_RATE;
+            this.sampled = this.isSessionSampled(sampleRate);
+
+            this.init();
+        }
+
+        init() {
+            // Registered even when nothing is uploaded, since the hooks keep local stats too
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.handlePageHide();
+                }
+            });
+            window.addEventListener('pagehide', () => this.handlePageHide());
+
+            // The leader uploads events from sampled tabs even if it is not sampled itself
+            if (this.tabs) {
+                this.tabs.on('telemetry', ({ to, events }) => this.receive(events, to));
+            } else if (!this.sampled) {
+                return;
+            }
+
+            this.timer = setInterval(() => this.flush(), this.flushInterval);
+        }
+
+        // Hooks that record their last events when the page is hidden. They run
+        // before the final flush, whatever order the listeners were added in.
+        beforePageHide(hook) {
+            this.pageHideHooks.push(hook);
+        }
+
+        handlePageHide() {
+            this.pageHideHooks.forEach(hook => hook());
+            this.flush({ beacon: true });
+        }
+
+        addTransport(transport) {
+            this.transports.push(transport);
+        }
+
+        setBatchSize(batchSize) {
+            this.batchSize = batchSize;
+        }
+
+        // Events recorded from now on belong to this app route
+        setRoute(route) {
+            this.route = route;
+        }
+
+        record(type, name, value, route = this.route) {
+            if (!this.sampled) return;
+
+            this.queue.push({ type, name, value, route, timestamp: Date.now() });
+
+            // Drop the oldest events rather than grow without bound
+            if (this.queue.length > this.maxQueueSize) {
+                this.queue.splice(0, this.queue.length - this.maxQueueSize);
+            }
+
+            if (this.queue.length >= this.batchSize) {
+                this.flush();
+            }
+        }
+
+        // Events handed over by another tab, which keep that tab's session id.
+        // Only the addressed tab takes them, even if it resigned meanwhile:
+        // its next flush passes them on to the new leader.
+        receive(events, to) {
+            if (to !== this.tabs.tabId || !Array.isArray(events)) return;
+
+            this.queue = this.queue.concat(events).slice(-this.maxQueueSize);
+        }
+
+        flush({ beacon = false } = {}) {
+            if (this.queue.length === 0) {
+                return Promise.resolve();
+            }
+
+            // Addressed to one tab, as two tabs can both lead for a moment
+            // while heartbeats cross
+            if (this.tabs && this.tabs.hasOtherLeader()) {
+                const forwarded = this.queue.splice(0, this.queue.length)
+                    .map(event => ({ ...event, sessionId: event.sessionId || this.sessionId }));
+                this.tabs.broadcast('telemetry', { to: this.tabs.leaderId, events: forwarded });
+                return Promise.resolve();
+            }
+
+            if (this.transports.length === 0) {
+                return Promise.resolve();
+            }
+
+            const events = this.queue.splice(0, this.queue.length);
+            const batch = { context: this.getContext(), events: events };
+
+            return Promise.all(this.transports.map(transport =>
+                transport.send(batch, { beacon }).catch(() => false)
+            )).then(results => {
+                // Requeue when every transport failed, e.g. while offline
+                if (!results.some(Boolean) && !beacon) {
+                    this.queue = events.concat(this.queue).slice(-this.maxQueueSize);
+                }
+            });
+        }
+
+        getContext() {
+            const connection = navigator.connection || {};
+
+            return {
+                sessionId: this.sessionId,
+                appVersion: CONFIG.CACHE_VERSION,
+                environment: CONFIG.ENVIRONMENT,
+                commit: CONFIG.COMMIT,
+                page: window.location.pathname,
+                connection: {
+                    effectiveType: connection.effectiveType || null,
+                    downlink: connection.downlink || null,
+                    rtt: connection.rtt || null,
+                    saveData: Boolean(connection.saveData)
+                }
+            };
+        }
+
+        getSessionId() {
+            const key = 'carenow-session-id';
+            let sessionId = sessionStorage.getItem(key);
+
+            if (!sessionId) {
+                sessionId = window.crypto && window.crypto.randomUUID
+                    ? window.crypto.randomUUID()
+                    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+                sessionStorage.setItem(key, sessionId);
+            }
+
+            return sessionId;
+        }
+
+        isSessionSampled(sampleRate) {
+            const key = 'carenow-session-sampled';
+            const stored = sessionStorage.getItem(key);
+
+            if (stored !== null) return stored === 'true';
+
+            const sampled = Math.random() < sampleRate;
+            sessionStorage.setItem(key, String(sampled));
+            return sampled;
+        }
+    }
+
+    // Crash reports for the web app: stacks, breadcrumbs, dedupe and offline buffering
+    class ErrorReporter {
+        constructor(telemetry, performanceMonitor = null) {
+            this.telemetry = telemetry;
+            this.performanceMonitor = performanceMonitor;
+            this.transport = CONFIG.ERROR_REPORTING.ENDPOINT
+                ? new HttpTransport(CONFIG.ERROR_REPORTING.ENDPOINT)
+                : null;
+            this.breadcrumbs = [];
+            this.queue = [];
+            this.seen = new Map();
+            this.recentReports = [];
+            this.droppedCount = 0;
+            this.init();
+        }
+
+        init() {
+            window.addEventListener('error', (event) => {
+                this.captureError(event.error || event.message, {
+                    kind: 'error',
+                    filename: event.filename,
+                    lineno: event.lineno,
+                    colno: event.colno
+                });
+            });
+
+            window.addEventListener('unhandledrejection', (event) => {
+                this.captureError(event.reason, { kind: 'unhandledrejection' });
+            });
+
+            this.trackBreadcrumbs();
+
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    const data = event.data || {};
+                    if (data.type === 'SW_ERROR') {
+                        this.captureError(data.error, {
+                            kind: 'service-worker',
+                            context: data.context,
+                            swVersion: data.version
+                        });
+                    } else if (data.type) {
+                        this.addBreadcrumb('sw-message', data.type);
+                    }
+                });
+            }
+
+            setInterval(() => this.flush(), CONFIG.ERROR_REPORTING.FLUSH_INTERVAL);
+            window.addEventListener('online', () => this.flush());
+            window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+
+            // Upload anything buffered during an earlier offline session
+            this.flush();
+        }
+
+        trackBreadcrumbs() {
+            document.addEventListener('click', (event) => {
+                this.addBreadcrumb('click', this.describeElement(event.target));
+            }, { capture: true, passive: true });
+
+            ['popstate', 'hashchange'].forEach(eventType => {
+                window.addEventListener(eventType, () => {
+                    this.addBreadcrumb('navigation', window.location.pathname + window.location.hash);
+                });
+            });
+        }
+
+        addBreadcrumb(category, message) {
+            this.breadcrumbs.push({ category, message, timestamp: Date.now() });
+
+            if (this.breadcrumbs.length > CONFIG.ERROR_REPORTING.MAX_BREADCRUMBS) {
+                this.breadcrumbs.shift();
+            }
+        }
+
+        describeElement(element) {
+            if (!element || !element.tagName) return 'unknown';
+
+            let description = element.tagName.toLowerCase();
+            if (element.id) description += `#${element.id}`;
+            if (typeof element.className === 'string' && element.className.trim()) {
+                description += `.${element.className.trim().split(/\s+/).join('.')}`;
+            }
+            return description;
+        }
+
+        // Error objects serialize to {} with JSON.stringify, so copy their fields
+        serializeError(error) {
+            if (error instanceof Error) {
+                return { name: error.name, message: error.message, stack: error.stack || null };
+            }
+
+            if (error && typeof error === 'object') {
+                let message;
+                try {
+                    message = error.message || JSON.stringify(error);
+                } catch (e) {
+                    message = String(error);
+                }
+                return { name: error.name || 'Error', message: message, stack: error.stack || null };
+            }
+
+            return { name: 'Error', message: String(error), stack: null };
+        }
+
+        // Same message and top stack frame means the same bug; line/column
+        // numbers are dropped so rebuilt bundles keep their fingerprint
+        fingerprint(report) {
+            const topFrame = (report.stack || '').split('\n')
+                .find(line => /\bat\b|@/.test(line)) || report.filename || '';
+            const source = `${report.kind}|${report.name}|${report.message}|${topFrame}`
+                .replace(/:\d+(?::\d+)?/g, '');
+
+            let hash = 0;
+            for (let i = 0; i < source.length; i++) {
+                hash = ((hash << 5) - hash + source.charCodeAt(i)) | 0;
+            }
+            return (hash >>> 0).toString(16);
+        }
+
+        captureError(error, details = {}) {
+            const now = Date.now();
+            // Counted before dedupe so every route sees its own errors
+            const route = this.performanceMonitor
+                ? this.performanceMonitor.recordRouteError()
+                : null;
+            const report = {
+                ...this.serializeError(error),
+                ...details,
+                url: window.location.href,
+                route: route,
+                timestamp: now,
+                breadcrumbs: this.breadcrumbs.slice()
+            };
+            report.fingerprint = this.fingerprint(report);
+
+            // Repeats inside the dedupe window only bump a counter
+            const seen = this.seen.get(report.fingerprint);
+            if (seen && now - seen.lastReported < CONFIG.ERROR_REPORTING.DEDUPE_WINDOW) {
+                const queued = this.queue.find(item => item.fingerprint === report.fingerprint);
+                if (queued) {
+                    queued.occurrences++;
+                } else {
+                    seen.suppressed++;
+                }
+                return;
+            }
+
+            this.recentReports = this.recentReports.filter(time => now - time < 60 * 1000);
+            if (this.recentReports.length >= CONFIG.ERROR_REPORTING.MAX_ERRORS_PER_MINUTE) {
+                this.droppedCount++;
+                return;
+            }
+            this.recentReports.push(now);
+
+            report.occurrences = 1 + (seen ? seen.suppressed : 0);
+            this.seen.set(report.fingerprint, { lastReported: now, suppressed: 0 });
+            this.queue.push(report);
+
+            if (this.queue.length >= CONFIG.ERROR_REPORTING.BATCH_SIZE) {
+                this.flush();
+            }
+        }
+
+        async flush({ beacon = false } = {}) {
+            const reports = this.queue.splice(0, this.queue.length);
+
+            // Without a collector, errors go out with the rest of the telemetry
+            if (!this.transport) {
+                reports.forEach(report => this.telemetry.record('error', report.fingerprint, report));
+                return;
+            }
+
+            if (!navigator.onLine) {
+                await this.bufferReports(reports);
+                return;
+            }
+
+            const buffered = beacon ? [] : await this.takeBufferedReports();
+            const batch = buffered.concat(reports);
+            if (batch.length === 0) return;
+
+            const sent = await this.transport.send({
+                context: this.telemetry.getContext(),
+                droppedCount: this.droppedCount,
+                errors: batch
+            }, { beacon });
+
+            if (sent) {
+                this.droppedCount = 0;
+            } else {
+                await this.bufferReports(batch);
             }
         }
 
-        setupPerformanceObserver() {
-            if ('PerformanceObserver' in window) {
-                // Monitor Core Web Vitals
-                const observer = new PerformanceObserver((list) => {
-                    for (const entry of list.getEntries()) {
-                        this.recordMetric(entry.name, entry.value);
-                    }
-                });
+        openBuffer() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open('carenow-web', 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore('error-reports', { autoIncrement: true });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return this.dbPromise;
+        }
+
+        async bufferReports(reports) {
+            if (reports.length === 0 || !window.indexedDB) return;
+
+            try {
+                const db = await this.openBuffer();
+                await new Promise((resolve, reject) => {
+                    const transaction = db.transaction('error-reports', 'readwrite');
+                    const store = transaction.objectStore('error-reports');
+                    reports.forEach(report => store.add(report));
+
+                    // Keep only the newest reports
+                    const countRequest = store.count();
+                    countRequest.onsuccess = () => {
+                        let excess = countRequest.result - CONFIG.ERROR_REPORTING.MAX_BUFFERED;
+                        if (excess <= 0) return;
+                        store.openCursor().onsuccess = (event) => {
+                            const cursor = event.target.result;
+                            if (cursor && excess-- > 0) {
+                                cursor.delete();
+                                cursor.continue();
+                            }
+                        };
+                    };
+
+                    transaction.oncomplete = resolve;
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            } catch (error) {
+                console.log('Error report buffering failed:', error);
+            }
+        }
+
+        async takeBufferedReports() {
+            if (!window.indexedDB) return [];
+
+            try {
+                const db = await this.openBuffer();
+                return await new Promise((resolve, reject) => {
+                    const transaction = db.transaction('error-reports', 'readwrite');
+                    const store = transaction.objectStore('error-reports');
+                    const request = store.getAll();
+                    store.clear();
+
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = () => reject(transaction.error);
+                });
+            } catch (error) {
+                return [];
+            }
+        }
+    }
+
+    function createTelemetryReporter(tabs) {
+        const transports = [new GtagTransport()];
+
+        if (CONFIG.TELEMETRY.ENDPOINT) {
+            transports.push(new HttpTransport(CONFIG.TELEMETRY.ENDPOINT));
+        }
+
+        return new TelemetryReporter({ transports, tabs });
+    }
+
+    // Network quality, Save-Data and device memory, with a derived "lite" mode
+    // for budget phones on slow mobile data
+    class AdaptiveLoading {
+        constructor() {
+            this.listeners = [];
+            this.state = this.readState();
+            this.init();
+        }
+
+        init() {
+            if (navigator.connection && navigator.connection.addEventListener) {
+                navigator.connection.addEventListener('change', () => this.update());
+            }
+            window.addEventListener('online', () => this.update());
+            window.addEventListener('offline', () => this.update());
+        }
+
+        readState() {
+            const connection = navigator.connection || {};
+            const effectiveType = connection.effectiveType || null;
+            const saveData = Boolean(connection.saveData);
+            const deviceMemory = navigator.deviceMemory || null;
+            const lowMemory = deviceMemory !== null &&
+                deviceMemory <= CONFIG.ADAPTIVE_LOADING.LOW_DEVICE_MEMORY;
+
+            return {
+                effectiveType: effectiveType,
+                downlink: connection.downlink || null,
+                rtt: connection.rtt || null,
+                saveData: saveData,
+                deviceMemory: deviceMemory,
+                online: navigator.onLine,
+                lite: saveData || lowMemory ||
+                    CONFIG.ADAPTIVE_LOADING.LITE_NETWORK_TYPES.includes(effectiveType)
+            };
+        }
+
+        update() {
+            this.state = this.readState();
+
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.state);
+                } catch (error) {
+                    console.log('Network quality listener failed:', error);
+                }
+            });
+
+            window.dispatchEvent(new CustomEvent('carenow:network-quality', {
+                detail: this.state
+            }));
+        }
+
+        getState() {
+            return this.state;
+        }
+
+        isLite() {
+            return this.state.lite;
+        }
+
+        // Returns a function that removes the listener
+        subscribe(listener) {
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(item => item !== listener);
+            };
+        }
+    }
+
+    // The active app route. The History API and popstate catch every URL
+    // change; once the Flutter router reports routes through setRoute(),
+    // its names win and URL changes only mark when a navigation started.
+    class RouteTracker {
+        constructor() {
+            this.listeners = [];
+            this.explicit = false;
+            this.lastUrlChange = null;
+            this.urlPath = this.currentPath();
+            this.current = this.createRoute(this.routeFromPath(this.urlPath), this.urlPath, 'initial', 0);
+            this.history = [this.current];
+            this.init();
+        }
+
+        init() {
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = history[method];
+                history[method] = (...args) => {
+                    const result = original.apply(history, args);
+                    this.handleUrlChange();
+                    return result;
+                };
+            });
+
+            window.addEventListener('popstate', () => this.handleUrlChange());
+            window.addEventListener('hashchange', () => this.handleUrlChange());
+        }
+
+        // Flutter's default URL strategy keeps the route in the hash
+        currentPath() {
+            const hash = window.location.hash;
+            return hash.startsWith('#/') ? hash.slice(1).split('?')[0] : window.location.pathname;
+        }
+
+        // Ids would give every booking its own route, so they become :id
+        routeFromPath(path) {
+            return path.split('/').map(segment =>
+                /^\d+$/.test(segment) || /^[0-9a-f-]{20,}$/i.test(segment) ||
+                    (segment.length >= 16 && /\d/.test(segment) && /^[A-Za-z0-9_-]+$/.test(segment))
+                    ? ':id'
+                    : segment
+            ).join('/') || '/';
+        }
+
+        createRoute(name, path, source, startTime) {
+            return { name, path, source, startTime, startedAt: Date.now() };
+        }
+
+        handleUrlChange() {
+            const path = this.currentPath();
+            if (path === this.urlPath) return;
+
+            this.urlPath = path;
+            this.lastUrlChange = { path, time: performance.now() };
+            if (!this.explicit) {
+                this.change(this.routeFromPath(path), path, 'history', this.lastUrlChange.time);
+            }
+        }
+
+        // name is the Flutter route template, e.g. GoRouterState.fullPath
+        setRoute(name, path = this.currentPath()) {
+            this.explicit = true;
+
+            const now = performance.now();
+            const urlChange = this.lastUrlChange;
+            const startTime = urlChange && now - urlChange.time < CONFIG.ROUTES.HISTORY_MATCH_WINDOW
+                ? urlChange.time
+                : now;
+
+            this.change(name, path, 'flutter', startTime);
+        }
+
+        change(name, path, source, startTime) {
+            if (name === this.current.name) {
+                this.current.path = path;
+                return;
+            }
+
+            const previous = this.current;
+            this.current = this.createRoute(name, path, source, startTime);
+            this.history = this.history.concat(this.current).slice(-CONFIG.ROUTES.MAX_HISTORY);
+
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.current, previous);
+                } catch (error) {
+                    console.log('Route listener failed:', error);
+                }
+            });
+        }
+
+        getCurrent() {
+            return this.current;
+        }
+
+        // The route active at a performance timeline time
+        routeAt(time) {
+            return this.history.slice().reverse().find(route => route.startTime <= time) || this.history[0];
+        }
+
+        // Returns a function that removes the listener
+        subscribe(listener) {
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(item => item !== listener);
+            };
+        }
+    }
+
+    // INP approximates the 98th percentile of the slowest interactions
+    function estimateInp(interactions) {
+        const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+        if (durations.length === 0) return null;
+
+        return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    }
+
+    function median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Performance monitoring
+    class PerformanceMonitor {
+        constructor(telemetry, routeTracker) {
+            this.telemetry = telemetry;
+            this.routeTracker = routeTracker;
+            this.metrics = {};
+            this.interactionCounts = {};
+            this.observers = [];
+            this.webVitals = {};
+            this.lcpLocked = false;
+            this.layoutShiftWindow = { value: 0, firstTime: 0, lastTime: 0 };
+            this.interactions = new Map();
+            this.longTasks = { count: 0, blockingTime: 0 };
+            this.startupTimings = {};
+            // Route name -> totals over every visit, see getRouteSummaries()
+            this.routeStats = new Map();
+            this.routeVisit = null;
+            // Finished visits waiting for late entries, see finishRouteVisit()
+            this.closingVisits = [];
+            this.init();
+        }
+
+        init() {
+            if (typeof window !== 'undefined') {
+                this.trackRoutes();
+                this.setupPerformanceObserver();
+                this.monitorNetworkConditions();
+                this.trackUserInteractions();
+            }
+        }
+
+        // A visit lasts from entering a route until leaving it or hiding the
+        // page; each one reports its own summary
+        trackRoutes() {
+            this.startRouteVisit(this.routeTracker.getCurrent());
+
+            this.routeTracker.subscribe((route) => {
+                this.finishRouteVisit(route.startTime);
+                if (document.visibilityState !== 'hidden') {
+                    this.startRouteVisit(route);
+                }
+            });
+
+            // Nothing waits for late entries once the page may be discarded
+            this.telemetry.beforePageHide(() => {
+                this.takePendingEntries();
+                this.finishRouteVisit();
+                this.closingVisits.slice().forEach(visit => this.reportRouteVisit(visit));
+            });
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible' && !this.routeVisit) {
+                    this.startRouteVisit(this.routeTracker.getCurrent(), { resumed: true });
+                }
+            });
+        }
+
+        startRouteVisit(route, { resumed = false } = {}) {
+            const visit = {
+                route: route.name,
+                path: route.path,
+                startTime: resumed ? performance.now() : route.startTime,
+                endTime: null,
+                interactions: new Map(),
+                longTasks: 0,
+                blockingTime: 0,
+                errors: 0,
+                softNavigation: null
+            };
+
+            this.routeVisit = visit;
+            this.telemetry.setRoute(route.name);
+
+            // Soft navigation: from the route change until the frame after the
+            // new screen rendered. The initial load is covered by the startup timings.
+            if (route.source !== 'initial' && !resumed) {
+                requestAnimationFrame(() => requestAnimationFrame(() => {
+                    visit.softNavigation = performance.now() - visit.startTime;
+                }));
+            }
+        }
+
+        // Observers deliver entries after the fact, often once the next route
+        // has started, so the summary waits a little for entries that began
+        // before endTime
+        finishRouteVisit(endTime = performance.now()) {
+            const visit = this.routeVisit;
+            if (!visit) return;
+            this.routeVisit = null;
+
+            visit.endTime = endTime;
+            visit.reportTimer = setTimeout(() => this.reportRouteVisit(visit), CONFIG.ROUTES.LATE_ENTRY_WINDOW);
+            this.closingVisits.push(visit);
+        }
+
+        reportRouteVisit(visit) {
+            clearTimeout(visit.reportTimer);
+            this.closingVisits = this.closingVisits.filter(item => item !== visit);
+
+            const inp = estimateInp(visit.interactions);
+            const summary = {
+                path: visit.path,
+                duration: Math.round(visit.endTime - visit.startTime),
+                softNavigation: visit.softNavigation !== null ? Math.round(visit.softNavigation) : null,
+                interactions: visit.interactions.size,
+                inp: inp,
+                inpRating: inp !== null ? this.rateWebVital('INP', inp) : null,
+                longTasks: visit.longTasks,
+                blockingTime: Math.round(visit.blockingTime),
+                errors: visit.errors
+            };
+
+            this.telemetry.record('route', visit.route, summary, visit.route);
+            this.addRouteStats(visit.route, summary);
+        }
+
+        // The open or closing visit an entry started in
+        visitAt(startTime) {
+            return [this.routeVisit, ...this.closingVisits].find(visit => visit &&
+                startTime >= visit.startTime &&
+                (visit.endTime === null || startTime < visit.endTime)) || null;
+        }
+
+        // Hand entries the observers have not delivered yet to their callbacks
+        takePendingEntries() {
+            this.observers.forEach(({ observer, callback }) => {
+                observer.takeRecords().forEach(callback);
+            });
+        }
+
+        addRouteStats(route, summary) {
+            const stats = this.routeStats.get(route) || {
+                visits: 0,
+                totalTime: 0,
+                interactions: 0,
+                worstInp: null,
+                longTasks: 0,
+                blockingTime: 0,
+                errors: 0,
+                softNavigations: []
+            };
+
+            stats.visits++;
+            stats.totalTime += summary.duration;
+            stats.interactions += summary.interactions;
+            stats.worstInp = summary.inp !== null ? Math.max(stats.worstInp || 0, summary.inp) : stats.worstInp;
+            stats.longTasks += summary.longTasks;
+            stats.blockingTime += summary.blockingTime;
+            stats.errors += summary.errors;
+            if (summary.softNavigation !== null) {
+                stats.softNavigations = stats.softNavigations
+                    .concat(summary.softNavigation)
+                    .slice(-CONFIG.ROUTES.MAX_SOFT_NAVIGATIONS);
+            }
+
+            this.routeStats.set(route, stats);
+        }
+
+        // Totals per route for finished visits, slowest-blocking first
+        getRouteSummaries() {
+            return Array.from(this.routeStats.entries())
+                .map(([route, stats]) => ({
+                    route: route,
+                    visits: stats.visits,
+                    totalTime: stats.totalTime,
+                    interactions: stats.interactions,
+                    worstInp: stats.worstInp,
+                    worstInpRating: stats.worstInp !== null ? this.rateWebVital('INP', stats.worstInp) : null,
+                    longTasks: stats.longTasks,
+                    blockingTime: stats.blockingTime,
+                    errors: stats.errors,
+                    medianSoftNavigation: median(stats.softNavigations)
+                }))
+                .sort((a, b) => b.blockingTime - a.blockingTime);
+        }
+
+        // Returns the route the error happened on
+        recordRouteError() {
+            if (this.routeVisit) this.routeVisit.errors++;
+            return this.routeTracker.getCurrent().name;
+        }
+
+        setupPerformanceObserver() {
+            if (!('PerformanceObserver' in window)) return;
+
+            const supported = PerformanceObserver.supportedEntryTypes || [];
+            const observe = (type, callback, options = {}) => {
+                if (!supported.includes(type)) return;
+
+                const observer = new PerformanceObserver((list) => {
+                    list.getEntries().forEach(callback);
+                });
+                observer.observe({ type, buffered: true, ...options });
+                this.observers.push({ observer, callback });
+            };
+
+            // Custom marks measured with performance.measure(), including the
+            // startup timings from flutter_bootstrap.js
+            observe('measure', (entry) => {
+                this.recordMetric(entry.name, entry.duration);
+                this.checkStartupBudget(entry);
+            });
+
+            // Monitor Core Web Vitals
+            observe('paint', (entry) => {
+                if (entry.name === 'first-contentful-paint') {
+                    this.updateWebVital('FCP', entry.startTime, entry.startTime);
+                }
+            });
+
+            observe('navigation', (entry) => {
+                this.updateWebVital('TTFB', entry.responseStart, entry.startTime);
+            });
+
+            observe('largest-contentful-paint', (entry) => {
+                // The browser stops reporting LCP candidates after the first input
+                if (!this.lcpLocked) {
+                    const time = entry.renderTime || entry.loadTime || entry.startTime;
+                    this.updateWebVital('LCP', time, time);
+                }
+            });
+
+            observe('layout-shift', (entry) => this.handleLayoutShift(entry));
+
+            observe('first-input', (entry) => {
+                this.lcpLocked = true;
+                this.updateWebVital('FID', entry.processingStart - entry.startTime, entry.startTime);
+            });
+
+            observe('event', (entry) => this.handleInteraction(entry), { durationThreshold: 40 });
+
+            observe('longtask', (entry) => this.handleLongTask(entry));
+
+            // Metrics keep changing until the page is hidden, so report them then
+            this.telemetry.beforePageHide(() => this.finalizeWebVitals());
+        }
+
+        // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+        handleLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
+
+            const current = this.layoutShiftWindow;
+            if (current.value > 0 &&
+                entry.startTime - current.lastTime < 1000 &&
+                entry.startTime - current.firstTime < 5000) {
+                current.value += entry.value;
+                current.lastTime = entry.startTime;
+            } else {
+                this.layoutShiftWindow = {
+                    value: entry.value,
+                    firstTime: entry.startTime,
+                    lastTime: entry.startTime
+                };
+            }
+
+            // The largest window so far, on the route it started on
+            const session = this.layoutShiftWindow;
+            if (session.value > ((this.webVitals.CLS || {}).value || 0)) {
+                this.updateWebVital('CLS', session.value, session.firstTime);
+            }
+        }
+
+        handleInteraction(entry) {
+            if (!entry.interactionId) return;
+
+            this.lcpLocked = true;
+            const previous = this.interactions.get(entry.interactionId) || 0;
+            this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+            this.updateWebVital('INP', estimateInp(this.interactions));
+
+            const visit = this.visitAt(entry.startTime);
+            if (visit) {
+                const routePrevious = visit.interactions.get(entry.interactionId) || 0;
+                visit.interactions.set(entry.interactionId, Math.max(routePrevious, entry.duration));
+            }
+        }
+
+        handleLongTask(entry) {
+            const blockingTime = Math.max(0, entry.duration - 50);
+            this.longTasks.count++;
+            this.longTasks.blockingTime += blockingTime;
+            this.updateWebVital('TBT', this.longTasks.blockingTime);
+
+            const visit = this.visitAt(entry.startTime);
+            if (visit) {
+                visit.longTasks++;
+                visit.blockingTime += blockingTime;
+            }
+        }
+
+        // Vitals are reported when the page is hidden, usually on a later
+        // route, so each keeps the route active at the time it was measured.
+        // INP and TBT span the whole page and have no route; route
+        // summaries carry their per-route values.
+        updateWebVital(name, value, time = null) {
+            const previous = this.webVitals[name] || {};
+
+            this.webVitals[name] = {
+                value: value,
+                rating: this.rateWebVital(name, value),
+                budget: CONFIG.PERFORMANCE_BUDGET[name],
+                route: time !== null ? this.routeTracker.routeAt(time).name : null,
+                reportedValue: previous.reportedValue
+            };
+        }
+
+        rateWebVital(name, value) {
+            if (value <= CONFIG.PERFORMANCE_BUDGET[name]) return 'good';
+            return value > CONFIG.PERFORMANCE_POOR_THRESHOLD[name] ? 'poor' : 'needs-improvement';
+        }
+
+        // Report every vital that changed since it was last reported
+        finalizeWebVitals() {
+            this.recordMetric('long-tasks', this.longTasks.count, null);
+
+            Object.keys(this.webVitals).forEach(name => {
+                const vital = this.webVitals[name];
+                if (vital.reportedValue === vital.value) return;
+
+                vital.reportedValue = vital.value;
+                this.recordMetric(name, vital.value, vital.route);
+                this.recordMetric(`${name}-rating`, vital.rating, vital.route);
+
+                if (vital.rating !== 'good') {
+                    console.warn(`Performance budget exceeded: ${name}=${vital.value} (budget ${vital.budget}, ${vital.rating})`);
+                }
+            });
+        }
+
+        getWebVitals() {
+            return this.webVitals;
+        }
+
+        checkStartupBudget(entry) {
+            const match = /^carenow:time-to-(.+)$/.exec(entry.name);
+            if (!match) return;
+
+            const stage = match[1];
+            this.startupTimings[stage] = entry.duration;
+
+            const budget = CONFIG.STARTUP_BUDGET[stage];
+            if (budget && entry.duration > budget) {
+                console.warn(`Startup budget exceeded: ${stage}=${Math.round(entry.duration)}ms (budget ${budget}ms)`);
+            }
+        }
+
+        // Time from navigation start to entrypoint-loaded, engine-init and first-frame
+        getStartupTimings() {
+            return this.startupTimings;
+        }
+
+        monitorNetworkConditions() {
+            if ('connection' in navigator) {
+                const connection = navigator.connection;
+                const record = () => {
+                    this.recordMetric('network-type', connection.effectiveType);
+                    this.recordMetric('network-downlink', connection.downlink);
+                    this.recordMetric('network-rtt', connection.rtt);
+                };
+
+                record();
+                if (connection.addEventListener) {
+                    connection.addEventListener('change', record);
+                }
+            }
+        }
+
+        trackUserInteractions() {
+            ['click', 'scroll', 'keydown'].forEach(eventType => {
+                document.addEventListener(eventType, (event) => {
+                    this.recordInteraction(eventType);
+                }, { passive: true });
+            });
+        }
+
+        // route defaults to the current one
+        recordMetric(name, value, route) {
+            this.metrics[name] = {
+                value: value,
+                timestamp: Date.now()
+            };
+
+            if (this.telemetry) {
+                this.telemetry.record('metric', name, value, route);
+            }
+        }
+
+        // Interactions are counted locally and sent with the performance report
+        recordInteraction(type) {
+            this.interactionCounts[type] = (this.interactionCounts[type] || 0) + 1;
+        }
+
+        getInteractionCounts() {
+            return this.interactionCounts;
+        }
+
+        getMetrics() {
+            return this.metrics;
+        }
+    }
+
+    // Service worker updates: a new worker waits until the user accepts
+    // the "update available" prompt or the app has been idle for a while.
+    // Only the leader tab prompts; the others reload with it.
+    class UpdateController {
+        constructor(tabs) {
+            this.tabs = tabs;
+            this.registration = null;
+            this.waitingWorker = null;
+            this.versionInfo = null;
+            this.updateAccepted = false;
+            this.idleTimer = null;
+
+            this.tabs.on('new-version', (info) => this.handleRemoteActivation(info));
+        }
+
+        watch(registration) {
+            this.registration = registration;
+
+            // A worker may already be waiting from a previous visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.handleWaiting(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.handleWaiting(worker);
+                    }
+                });
+            });
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                this.reloadOnce();
+            });
+
+            document.addEventListener('visibilitychange', () => {
+                this.scheduleIdleUpdate();
+            });
+        }
+
+        async handleWaiting(worker) {
+            this.waitingWorker = worker;
+            this.versionInfo = await this.getVersion(worker);
+
+            this.tabs.whenLeader(() => this.promptUpdate());
+            this.scheduleIdleUpdate();
+        }
+
+        promptUpdate() {
+            // Another tab may have applied the update before this one led
+            if (!this.waitingWorker) return;
+
+            window.dispatchEvent(new CustomEvent('carenow:update-available', {
+                detail: {
+                    ...this.versionInfo,
+                    accept: () => this.applyUpdate()
+                }
+            }));
+        }
+
+        // Another tab activated the new worker. Accepted updates reload every
+        // tab; an idle update only reloads tabs nobody is looking at and lets
+        // visible ones offer a reload through carenow:new-version.
+        handleRemoteActivation({ version = null, reason } = {}) {
+            this.waitingWorker = null;
+            clearTimeout(this.idleTimer);
+
+            if (reason === 'accepted' || document.visibilityState === 'hidden') {
+                this.updateAccepted = true;
+                return;
+            }
+
+            window.dispatchEvent(new CustomEvent('carenow:new-version', {
+                detail: {
+                    version: version,
+                    reload: () => window.location.reload()
+                }
+            }));
+        }
+
+        // Ask a worker for its version over the GET_VERSION message channel
+        getVersion(worker) {
+            return this.askWorker(worker, { type: 'GET_VERSION' }, { version: null });
+        }
+
+        // Message a worker and resolve with its reply, or the fallback after 3s
+        askWorker(worker, message, fallback) {
+            return new Promise(resolve => {
+                const channel = new MessageChannel();
+                const timer = setTimeout(() => resolve(fallback), 3000);
+
+                channel.port1.onmessage = (event) => {
+                    clearTimeout(timer);
+                    resolve(event.data || fallback);
+                };
+
+                worker.postMessage(message, [channel.port2]);
+            });
+        }
+
+        hasPendingUpdate() {
+            return Boolean(this.waitingWorker);
+        }
+
+        // Activate the waiting worker; the page reloads on controllerchange
+        applyUpdate() {
+            if (!this.waitingWorker) return false;
+
+            this.announceActivation('accepted');
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            return true;
+        }
+
+        // The worker only activates if every tab is hidden, since this tab
+        // cannot see whether the others are
+        async applyIdleUpdate() {
+            const worker = this.waitingWorker;
+            if (!worker) return;
+
+            const reply = await this.askWorker(worker, { type: 'SKIP_WAITING', reason: 'idle' }, { activated: false });
+            if (reply.activated) {
+                this.announceActivation('idle');
+            } else {
+                this.scheduleIdleUpdate();
+            }
+        }
+
+        announceActivation(reason) {
+            this.updateAccepted = true;
+            this.tabs.broadcast('new-version', {
+                version: this.versionInfo ? this.versionInfo.version : null,
+                reason: reason
+            });
+        }
+
+        // Apply a pending update once the leader tab has stayed hidden long enough
+        scheduleIdleUpdate() {
+            clearTimeout(this.idleTimer);
+
+            if (this.waitingWorker && document.visibilityState === 'hidden' && this.tabs.isLeader()) {
+                this.idleTimer = setTimeout(() => {
+                    this.applyIdleUpdate();
+                }, CONFIG.UPDATE_IDLE_TIMEOUT);
+            }
+        }
+
+        reloadOnce() {
+            // claim() on first install also fires controllerchange
+            if (!this.updateAccepted) return;
+
+            // Guard against a reload loop if workers keep replacing each other
+            const key = 'carenow-sw-reloaded-at';
+            const lastReload = Number(sessionStorage.getItem(key)) || 0;
+            if (Date.now() - lastReload < CONFIG.UPDATE_RELOAD_GUARD) {
+                console.log('SW update reload skipped, reloaded moments ago');
+                return;
+            }
+
+            sessionStorage.setItem(key, String(Date.now()));
+            this.updateAccepted = false;
+            window.location.reload();
+        }
+    }
+
+    // Tiny encoded images used to probe decoder support, best format first
+    const IMAGE_FORMAT_PROBES = {
+        avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+        webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+    };
+
+    // Responsive images from the build-time variant manifest: picks the best
+    // format the browser decodes, builds srcset/sizes and falls back to the
+    // original file if a variant fails to load
+    class ImageOptimizer {
+        constructor(adaptiveLoading) {
+            this.adaptiveLoading = adaptiveLoading;
+            this.manifest = null;
+            this.formats = null;
+        }
+
+        async optimize(images) {
+            if (images.length === 0) return;
+
+            const [manifest, formats] = await Promise.all([
+                this.loadManifest(),
+                this.detectFormats()
+            ]);
+
+            images.forEach(img => this.applyVariants(img, manifest, formats));
+        }
+
+        loadManifest() {
+            if (!this.manifest) {
+                this.manifest = fetch(CONFIG.IMAGES.MANIFEST_URL, { credentials: 'same-origin' })
+                    .then(response => response.ok ? response.json() : {})
+                    .then(manifest => manifest.images || {})
+                    .catch(() => ({}));
+            }
+
+            return this.manifest;
+        }
+
+        // Resolves to the supported modern formats, e.g. ['avif', 'webp']
+        detectFormats() {
+            if (!this.formats) {
+                const probes = Object.keys(IMAGE_FORMAT_PROBES).map(format =>
+                    this.canDecode(IMAGE_FORMAT_PROBES[format]).then(supported => supported ? format : null)
+                );
+
+                this.formats = Promise.all(probes).then(formats => formats.filter(Boolean));
+            }
+
+            return this.formats;
+        }
+
+        canDecode(dataUri) {
+            return new Promise(resolve => {
+                const image = new Image();
+                image.onload = () => resolve(image.width > 0);
+                image.onerror = () => resolve(false);
+                image.src = dataUri;
+            });
+        }
+
+        applyVariants(img, manifest, formats) {
+            img.loading = 'lazy';
+
+            // Hand-picked low resolution image on slow networks or with Save-Data
+            if (this.adaptiveLoading.isLite() && img.dataset.srcLite) {
+                img.dataset.src = img.dataset.srcLite;
+            }
+
+            const original = img.dataset.src;
+            const entry = manifest[this.manifestKey(original)];
+            if (!entry) return;
+
+            const format = formats.find(candidate =>
+                entry.variants.some(variant => variant.format === candidate)
+            ) || entry.format;
+
+            const candidates = this.getCandidates(original, entry, format);
+            if (candidates.length === 0) return;
+
+            img.dataset.srcset = candidates.map(candidate => `${candidate.url} ${candidate.width}w`).join(', ');
+            img.sizes = img.getAttribute('sizes') || img.dataset.sizes || CONFIG.IMAGES.DEFAULT_SIZES;
+            img.dataset.src = candidates[candidates.length - 1].url;
+
+            this.attachFallback(img, original);
+        }
+
+        // Variants of one format sorted by width, capped in lite mode
+        getCandidates(original, entry, format) {
+            let candidates = entry.variants.filter(variant => variant.format === format);
+
+            // The original file is the full-width variant of its own format
+            if (format === entry.format) {
+                candidates = candidates.concat({ url: original, format: format, width: entry.width });
+            }
+
+            candidates.sort((a, b) => a.width - b.width);
+
+            if (this.adaptiveLoading.isLite()) {
+                const capped = candidates.filter(candidate => candidate.width <= CONFIG.IMAGES.LITE_MAX_WIDTH);
+                candidates = capped.length > 0 ? capped : candidates.slice(0, 1);
+            }
+
+            return candidates;
+        }
+
+        manifestKey(src) {
+            try {
+                const url = new URL(src, window.location.href);
+                return url.origin === window.location.origin ? url.pathname : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // A variant that 404s (stale manifest, partial deploy) drops back to the original
+        attachFallback(img, original) {
+            const onError = () => {
+                if (img.dataset.imageFallback) return;
+
+                img.dataset.imageFallback = 'true';
+                console.warn('Image variant failed, using original:', img.currentSrc || img.src);
+                img.removeAttribute('srcset');
+                img.removeAttribute('sizes');
+                img.src = original;
+            };
+
+            img.addEventListener('error', onError, { once: true });
+        }
+    }
+
+    const LAZY_SELECTOR = '[data-src], [data-srcset], [data-bg]';
+    const LAZY_ATTRIBUTES = ['data-src', 'data-srcset', 'data-bg'];
+
+    // Loads [data-src], [data-srcset] and [data-bg] elements as they approach
+    // the viewport, including ones Flutter's HTML renderer and platform views
+    // add after startup. Progress is tracked in data-lazy-state and announced
+    // with carenow:lazyload / carenow:lazyerror events on the element.
+    class LazyLoader {
+        constructor(imageOptimizer) {
+            this.imageOptimizer = imageOptimizer;
+            this.observer = null;
+            this.mutationObserver = null;
+            this.pendingRoots = new Set();
+            this.scanScheduled = false;
+        }
+
+        start() {
+            if ('IntersectionObserver' in window) {
+                this.observer = new IntersectionObserver((entries) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            this.observer.unobserve(entry.target);
+                            this.load(entry.target);
+                        }
+                    });
+                }, {
+                    rootMargin: `${CONFIG.LAZY_LOAD_THRESHOLD}px`
+                });
+            }
+
+            if ('MutationObserver' in window) {
+                this.mutationObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+                this.mutationObserver.observe(document.documentElement, {
+                    childList: true,
+                    subtree: true,
+                    attributes: true,
+                    attributeFilter: LAZY_ATTRIBUTES
+                });
+            }
+
+            return this.scan(document);
+        }
+
+        handleMutations(mutations) {
+            mutations.forEach(mutation => {
+                const target = mutation.target;
+
+                if (mutation.type === 'attributes') {
+                    // A new source on an element that already finished loading
+                    const state = target.dataset.lazyState;
+                    if (target.hasAttribute(mutation.attributeName) && (state === 'loaded' || state === 'error')) {
+                        delete target.dataset.lazyState;
+                        this.pendingRoots.add(target);
+                    }
+                    return;
+                }
+
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.pendingRoots.add(node);
+                    }
+                });
+            });
+
+            this.scheduleScan();
+        }
+
+        // Batch mutations into one scan per microtask
+        scheduleScan() {
+            if (this.scanScheduled || this.pendingRoots.size === 0) return;
+            this.scanScheduled = true;
+
+            Promise.resolve().then(() => {
+                const roots = Array.from(this.pendingRoots);
+                this.pendingRoots.clear();
+                this.scanScheduled = false;
+                roots.forEach(root => this.scan(root));
+            });
+        }
+
+        async scan(root) {
+            const elements = this.collect(root);
+            if (elements.length === 0) return;
+
+            elements.forEach(element => {
+                element.dataset.lazyState = 'pending';
+            });
+
+            // Pick responsive variants before anything starts downloading
+            const images = elements.filter(element => element.tagName === 'IMG' && element.dataset.src);
+            try {
+                await this.imageOptimizer.optimize(images);
+            } catch (error) {
+                console.warn('Image optimization failed:', error);
+            }
+
+            elements.forEach(element => this.observe(element));
+        }
+
+        collect(root) {
+            const elements = root.matches && root.matches(LAZY_SELECTOR) ? [root] : [];
+            if (root.querySelectorAll) {
+                elements.push(...root.querySelectorAll(LAZY_SELECTOR));
+            }
+
+            return elements.filter(element => !element.dataset.lazyState);
+        }
+
+        observe(element) {
+            if (this.observer) {
+                this.observer.observe(element);
+            } else {
+                this.load(element);
+            }
+        }
+
+        load(element) {
+            element.dataset.lazyState = 'loading';
+            const { src, srcset, bg } = element.dataset;
+
+            if (bg) {
+                this.loadBackground(element, bg);
+            }
+
+            if (!src && !srcset) return;
 
-                observer.observe({ entryTypes: ['measure', 'navigation', 'paint'] });
-                this.observers.push(observer);
+            // <source> elements never fire load events, their <img> does
+            if (element.tagName !== 'SOURCE') {
+                this.trackLoad(element);
             }
-        }
 
-        setupIntersectionObserver() {
-            if ('IntersectionObserver' in window) {
-                const observer = new IntersectionObserver((entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            this.lazyLoadElement(entry.target);
-                        }
-                    });
-                }, {
-                    rootMargin: `${CONFIG.LAZY_LOAD_THRESHOLD}px`
-                });
+            if (srcset) {
+                element.srcset = srcset;
+                element.removeAttribute('data-srcset');
+            }
 
-                this.observers.push(observer);
+            if (src) {
+                element.src = src;
+                element.removeAttribute('data-src');
             }
-        }
 
-        monitorNetworkConditions() {
-            if ('connection' in navigator) {
-                const connection = navigator.connection;
-                this.recordMetric('network-type', connection.effectiveType);
-                this.recordMetric('network-downlink', connection.downlink);
-                this.recordMetric('network-rtt', connection.rtt);
+            if (element.tagName === 'SOURCE') {
+                this.finish(element, 'loaded');
             }
         }
 
-        trackUserInteractions() {
-            ['click', 'scroll', 'keydown'].forEach(eventType => {
-                document.addEventListener(eventType, (event) => {
-                    this.recordInteraction(eventType, event.timeStamp);
-                }, { passive: true });
-            });
-        }
+        trackLoad(element) {
+            let fellBack = false;
 
-        recordMetric(name, value) {
-            this.metrics[name] = {
-                value: value,
-                timestamp: Date.now()
+            const onLoad = () => done('loaded');
+            const onError = () => {
+                // ImageOptimizer swaps a failed variant for the original, wait for that
+                if (element.dataset.imageFallback === 'true' && !fellBack) {
+                    fellBack = true;
+                    return;
+                }
+                done('error');
+            };
+            const done = (state) => {
+                element.removeEventListener('load', onLoad);
+                element.removeEventListener('error', onError);
+                this.finish(element, state);
             };
 
-            // Send to analytics if available
-            if (window.gtag) {
-                window.gtag('event', 'performance_metric', {
-                    metric_name: name,
-                    metric_value: value
-                });
-            }
+            element.addEventListener('load', onLoad);
+            element.addEventListener('error', onError);
         }
 
-        recordInteraction(type, timestamp) {
-            this.recordMetric(`interaction_${type}`, timestamp);
+        loadBackground(element, url) {
+            const image = new Image();
+
+            image.onload = () => {
+                element.style.backgroundImage = `url("${url}")`;
+                element.removeAttribute('data-bg');
+                this.finish(element, 'loaded');
+            };
+            image.onerror = () => {
+                element.removeAttribute('data-bg');
+                this.finish(element, 'error');
+            };
+            image.src = url;
         }
 
-        lazyLoadElement(element) {
-            if (element.dataset.src) {
-                element.src = element.dataset.src;
-                element.removeAttribute('data-src');
-            }
+        finish(element, state) {
+            element.dataset.lazyState = state;
+            element.dispatchEvent(new CustomEvent(state === 'loaded' ? 'carenow:lazyload' : 'carenow:lazyerror', {
+                bubbles: true,
+                detail: { element: element }
+            }));
         }
 
-        getMetrics() {
-            return this.metrics;
+        disconnect() {
+            if (this.observer) this.observer.disconnect();
+            if (this.mutationObserver) this.mutationObserver.disconnect();
         }
     }
 
     // Resource optimization
+    // Registrations running the given worker script, e.g. '/sw.js'
+    async function serviceWorkerRegistrations(scriptPath) {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+
+        return registrations.filter(registration => [registration.active, registration.waiting, registration.installing]
+            .some(worker => worker && new URL(worker.scriptURL).pathname === scriptPath));
+    }
+
     class ResourceOptimizer {
-        constructor() {
+        constructor(adaptiveLoading, tabs) {
+            this.adaptiveLoading = adaptiveLoading;
+            this.tabs = tabs;
+            this.imageOptimizer = new ImageOptimizer(adaptiveLoading);
+            this.lazyLoader = new LazyLoader(this.imageOptimizer);
+            this.updateController = new UpdateController(tabs);
+            // Set by WebOptimizer.setAuthorizationProvider()
+            this.authorizationProvider = null;
             this.init();
         }
 
@@ -131,29 +1903,13 @@
         }
 
         optimizeImages() {
-            const images = document.querySelectorAll('img[data-src]');
-            images.forEach(img => {
-                // Add lazy loading
-                img.loading = 'lazy';
-                
-                // Optimize image format
-                if (this.supportsWebP()) {
-                    const src = img.dataset.src;
-                    if (src && !src.includes('.webp')) {
-                        img.dataset.src = src.replace(/\.(jpg|jpeg|png)$/, '.webp');
-                    }
-                }
-            });
-        }
-
-        supportsWebP() {
-            const canvas = document.createElement('canvas');
-            canvas.width = 1;
-            canvas.height = 1;
-            return canvas.toDataURL('image/webp').indexOf('data:image/webp') === 0;
+            return this.lazyLoader.start();
         }
 
         preloadCriticalResources() {
+            // Preloads compete with the app itself for a slow connection
+            if (this.adaptiveLoading.isLite()) return;
+
             const criticalResources = [
                 '/assets/fonts/main.woff2',
                 '/assets/css/critical.css',
@@ -180,17 +1936,218 @@
         }
 
         setupServiceWorker() {
+            if ('serviceWorker' in navigator && !CONFIG.FEATURES.SERVICE_WORKER) {
+                this.removeServiceWorker();
+                return;
+            }
+
             if ('serviceWorker' in navigator) {
-                navigator.serviceWorker.register('/sw.js')
-                    .then(registration => {
-                        console.log('SW registered:', registration);
+                // Precaching competes with CanvasKit and main.dart.js for bandwidth
+                this.afterFirstFrame(() => this.registerServiceWorker());
+
+                // Surface queued booking/job requests to the Flutter app
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    if (event.data && event.data.type === 'OUTBOX_STATUS') {
+                        window.dispatchEvent(new CustomEvent('carenow:outbox', {
+                            detail: event.data
+                        }));
+                    }
+
+                    // Fresher data for a booking/job list the app showed from cache
+                    if (event.data && event.data.type === 'CACHE_UPDATED') {
+                        window.dispatchEvent(new CustomEvent('carenow:cache-updated', {
+                            detail: event.data
+                        }));
+                    }
+
+                    // Pushes that arrived while the app was in the foreground
+                    if (event.data && event.data.type === 'PUSH_RECEIVED') {
+                        window.dispatchEvent(new CustomEvent('carenow:push', {
+                            detail: event.data.notification
+                        }));
+                    }
+
+                    // The app should fetch a new FCM token and send it to the
+                    // backend, which one tab is enough for
+                    if (event.data && event.data.type === 'PUSH_SUBSCRIPTION_CHANGED' && this.tabs.isLeader()) {
+                        window.dispatchEvent(new CustomEvent('carenow:push-subscription-changed', {
+                            detail: event.data
+                        }));
+                    }
+
+                    // Notification deep links for an already open window
+                    if (event.data && event.data.type === 'NOTIFICATION_CLICK') {
+                        window.dispatchEvent(new CustomEvent('carenow:notification-click', {
+                            detail: event.data
+                        }));
+                    }
+
+                    // Notification actions the app can run in-page; the worker
+                    // falls back to sending the request itself if nobody responds
+                    if (event.data && event.data.type === 'NOTIFICATION_ACTION' && event.ports[0]) {
+                        const port = event.ports[0];
+                        window.dispatchEvent(new CustomEvent('carenow:notification-action', {
+                            detail: {
+                                ...event.data,
+                                respond: (result) => port.postMessage(result)
+                            }
+                        }));
+                    }
+
+                    // A queued request came back 401 with the token it was queued
+                    // with, or the worker is about to fetch upcoming bookings
+                    const authTypes = ['OUTBOX_AUTH_REQUIRED', 'AUTHORIZATION_REQUEST'];
+                    if (event.data && authTypes.includes(event.data.type) && event.ports[0]) {
+                        this.answerAuthorizationRequest(event.ports[0]);
+                    }
+                });
+
+                // The worker pauses background revalidation in lite mode
+                const sendNetworkQuality = () => {
+                    this.postToServiceWorker({
+                        type: 'NETWORK_QUALITY',
+                        ...this.adaptiveLoading.getState()
+                    });
+                };
+                navigator.serviceWorker.ready.then(sendNetworkQuality);
+                navigator.serviceWorker.addEventListener('controllerchange', sendNetworkQuality);
+                this.adaptiveLoading.subscribe(sendNetworkQuality);
+
+                // Browsers without Background Sync replay the outbox on reconnect
+                window.addEventListener('online', () => {
+                    if (this.tabs.isLeader()) {
+                        this.postToServiceWorker({ type: 'REPLAY_OUTBOX' });
+                    }
+                });
+            }
+        }
+
+        // Replies with the app's current Authorization header, or null
+        async answerAuthorizationRequest(port) {
+            let authorization = null;
+
+            try {
+                authorization = this.authorizationProvider ? await this.authorizationProvider() : null;
+            } catch (error) {
+                console.log('Authorization refresh failed:', error);
+            }
+
+            port.postMessage({ authorization: authorization || null });
+        }
+
+        // Runtime config turned the worker off (development): remove the app
+        // worker and caches left from an earlier build so nothing stale is
+        // served. firebase-messaging-sw.js stays to keep delivering pushes.
+        removeServiceWorker() {
+            serviceWorkerRegistrations('/sw.js')
+                .then(registrations => Promise.all(registrations.map(registration => registration.unregister())))
+                .then(() => ('caches' in window ? caches.keys() : []))
+                .then(cacheNames => Promise.all(cacheNames
+                    .filter(name => name.startsWith(CONFIG.CACHE_PREFIX))
+                    .map(name => caches.delete(name))))
+                .catch(error => {
+                    console.log('SW removal failed:', error);
+                });
+        }
+
+        registerServiceWorker() {
+            // sw-config.js changes on every deploy, so skip the HTTP cache for update checks
+            navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' })
+                .then(registration => {
+                    console.log('SW registered:', registration);
+                    this.updateController.watch(registration);
+                    this.requestPersistentStorage();
+                    this.tabs.whenLeader(() => this.checkPushSubscriptionChange());
+                })
+                .catch(error => {
+                    console.log('SW registration failed:', error);
+                });
+        }
+
+        // Runs callback once Flutter has painted (flutter_bootstrap.js marks it)
+        // and the main thread is idle, or after a fallback delay if it never does
+        afterFirstFrame(callback) {
+            let done = false;
+            const run = () => {
+                if (done) return;
+                done = true;
+
+                if ('requestIdleCallback' in window) {
+                    requestIdleCallback(callback, { timeout: 2000 });
+                } else {
+                    setTimeout(callback, 0);
+                }
+            };
+
+            const painted = window.performance && performance.getEntriesByName &&
+                performance.getEntriesByName('carenow:first-frame').length > 0;
+            if (painted) {
+                run();
+                return;
+            }
+
+            window.addEventListener('flutter-first-frame', run, { once: true });
+            setTimeout(run, CONFIG.SW_REGISTER_FALLBACK_DELAY);
+        }
+
+        // Keep the precached app shell from being evicted under storage pressure
+        requestPersistentStorage() {
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persisted()
+                    .then(persisted => persisted || navigator.storage.persist())
+                    .then(persisted => {
+                        console.log('Persistent storage:', persisted ? 'granted' : 'denied');
                     })
                     .catch(error => {
-                        console.log('SW registration failed:', error);
+                        console.log('Persistent storage request failed:', error);
                     });
             }
         }
 
+        // Pick up a subscription change that happened while no window was open
+        checkPushSubscriptionChange() {
+            this.requestFromServiceWorker({ type: 'GET_PUSH_STATE' })
+                .then(response => {
+                    const state = response && response.state;
+                    if (state && !state.delivered) {
+                        window.dispatchEvent(new CustomEvent('carenow:push-subscription-changed', {
+                            detail: { type: 'PUSH_SUBSCRIPTION_CHANGED', ...state }
+                        }));
+                    }
+                })
+                .catch(error => {
+                    console.log('Push state check failed:', error);
+                });
+        }
+
+        // Send a message to the active worker and wait for its reply on a MessageChannel
+        requestFromServiceWorker(message, timeout = 5000) {
+            if (!('serviceWorker' in navigator)) {
+                return Promise.reject(new Error('Service workers are not supported'));
+            }
+
+            return navigator.serviceWorker.ready.then(registration => new Promise((resolve, reject) => {
+                const channel = new MessageChannel();
+                const timer = setTimeout(() => {
+                    reject(new Error(`No reply to ${message.type}`));
+                }, timeout);
+
+                channel.port1.onmessage = (event) => {
+                    clearTimeout(timer);
+                    resolve(event.data);
+                };
+
+                registration.active.postMessage(message, [channel.port2]);
+            }));
+        }
+
+        postToServiceWorker(message) {
+            const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+            if (controller) {
+                controller.postMessage(message);
+            }
+        }
+
         optimizeCSS() {
             // Remove unused CSS (simplified)
             const stylesheets = document.querySelectorAll('link[rel="stylesheet"]');
@@ -213,17 +2170,194 @@
         }
     }
 
+    // Must match DIAGNOSTICS_PROTOCOL in sw.js
+    const DIAGNOSTICS_PROTOCOL = 1;
+
+    // Page side of the service worker diagnostics protocol, used by the admin
+    // debug screen. Every method resolves with the worker's result or rejects
+    // with an Error carrying the worker's error code.
+    class ServiceWorkerDiagnostics {
+        constructor(resourceOptimizer) {
+            this.resourceOptimizer = resourceOptimizer;
+            this.nextId = 1;
+        }
+
+        send(command, args = {}) {
+            const message = {
+                type: 'DIAGNOSTICS',
+                protocol: DIAGNOSTICS_PROTOCOL,
+                id: this.nextId++,
+                command: command,
+                ...args
+            };
+
+            return this.resourceOptimizer.requestFromServiceWorker(message, CONFIG.DIAGNOSTICS_TIMEOUT)
+                .then(response => {
+                    if (response && response.ok) {
+                        return response.result;
+                    }
+
+                    const details = (response && response.error) || {};
+                    const error = new Error(details.message || `${command} failed`);
+                    error.code = details.code || 'NO_RESPONSE';
+                    throw error;
+                });
+        }
+
+        getInfo() {
+            return this.send('GET_INFO');
+        }
+
+        listCaches() {
+            return this.send('LIST_CACHES');
+        }
+
+        clearCache(cacheName) {
+            if (!cacheName) {
+                return Promise.reject(new Error('clearCache needs a cache name, use clearAllCaches()'));
+            }
+            return this.send('CLEAR_CACHES', { cacheName });
+        }
+
+        clearAllCaches() {
+            return this.send('CLEAR_CACHES');
+        }
+
+        getOutbox() {
+            return this.send('GET_OUTBOX');
+        }
+
+        getPushState() {
+            return this.send('GET_PUSH_STATE');
+        }
+
+        setVerboseLogging(verbose) {
+            return this.send('SET_LOGGING', { verbose: Boolean(verbose) });
+        }
+
+        getRouteConfig() {
+            return this.send('GET_ROUTES');
+        }
+    }
+
+    // Local booking reminders shown by sw.js. Periodic Background Sync keeps
+    // them current while CareNow is closed; browsers without it get a check
+    // whenever a CareNow tab becomes visible.
+    class BookingReminders {
+        constructor(resourceOptimizer) {
+            this.resourceOptimizer = resourceOptimizer;
+            this.mode = null;
+
+            if (this.isSupported()) {
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') {
+                        this.check();
+                    }
+                });
+            }
+        }
+
+        isSupported() {
+            return CONFIG.FEATURES.SERVICE_WORKER && CONFIG.FEATURES.BOOKING_REMINDERS &&
+                'serviceWorker' in navigator && 'Notification' in window;
+        }
+
+        // The worker only refetches bookings if its copy is old
+        check() {
+            this.resourceOptimizer.postToServiceWorker({ type: 'CHECK_BOOKING_REMINDERS' });
+        }
+
+        // Call from a user gesture, since it may ask for notification permission.
+        // Resolves with { enabled, mode } or { enabled: false, reason }.
+        async enable({ userId, leadTimeMinutes } = {}) {
+            if (!userId) {
+                throw new Error('Booking reminders need the signed-in user id');
+            }
+
+            if (!this.isSupported()) {
+                return { enabled: false, reason: 'unsupported' };
+            }
+
+            const permission = Notification.permission === 'default'
+                ? await Notification.requestPermission()
+                : Notification.permission;
+            if (permission !== 'granted') {
+                return { enabled: false, reason: 'permission-denied' };
+            }
+
+            const result = await this.resourceOptimizer.requestFromServiceWorker({
+                type: 'BOOKING_REMINDERS',
+                userId: userId,
+                leadTimeMinutes: leadTimeMinutes
+            }, CONFIG.BOOKING_REMINDERS.CONFIGURE_TIMEOUT);
+
+            if (!result || !result.enabled) {
+                return { enabled: false, reason: (result && result.error) || 'disabled' };
+            }
+
+            this.mode = await this.registerPeriodicSync();
+            return { ...result, mode: this.mode };
+        }
+
+        // 'periodic-sync' where the browser grants it (installed Chromium apps),
+        // 'visibility' everywhere else
+        async registerPeriodicSync() {
+            try {
+                const registration = await navigator.serviceWorker.getRegistration();
+                if (!registration || !registration.periodicSync || !navigator.permissions) {
+                    return 'visibility';
+                }
+
+                const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+                if (status.state !== 'granted') {
+                    return 'visibility';
+                }
+
+                await registration.periodicSync.register(CONFIG.BOOKING_REMINDERS.SYNC_TAG, {
+                    minInterval: CONFIG.BOOKING_REMINDERS.MIN_INTERVAL
+                });
+                return 'periodic-sync';
+            } catch (error) {
+                console.log('Periodic sync registration failed:', error);
+                return 'visibility';
+            }
+        }
+
+        // Call on sign-out: stops the periodic sync and drops the stored bookings
+        async disable() {
+            this.mode = null;
+            if (!('serviceWorker' in navigator)) return;
+
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration) return;
+
+            if (registration.periodicSync) {
+                await registration.periodicSync.unregister(CONFIG.BOOKING_REMINDERS.SYNC_TAG).catch(error => {
+                    console.log('Periodic sync unregistration failed:', error);
+                });
+            }
+
+            if (registration.active) {
+                registration.active.postMessage({ type: 'BOOKING_REMINDERS', userId: null });
+            }
+        }
+    }
+
     // Cache management
     class CacheManager {
-        constructor() {
+        constructor(tabs) {
             this.cacheName = CONFIG.CACHE_NAME;
+            this.tabs = tabs;
             this.init();
         }
 
-        async init() {
-            if ('caches' in window) {
-                await this.setupCache();
-                this.setupCacheStrategies();
+        init() {
+            // The cache is shared, so one tab filling it is enough
+            if ('caches' in window && CONFIG.FEATURES.SERVICE_WORKER) {
+                this.tabs.whenLeader(async () => {
+                    await this.setupCache();
+                    this.setupCacheStrategies();
+                });
             }
         }
 
@@ -249,7 +2383,7 @@
         async clearOldCaches() {
             const cacheNames = await caches.keys();
             const oldCaches = cacheNames.filter(name => 
-                name.startsWith('carenow-cache-') && name !== this.cacheName
+                name.startsWith(`${CONFIG.CACHE_PREFIX}page-`) && name !== this.cacheName
             );
 
             await Promise.all(
@@ -261,13 +2395,24 @@
     // Main optimizer
     class WebOptimizer {
         constructor() {
-            this.performanceMonitor = new PerformanceMonitor();
-            this.resourceOptimizer = new ResourceOptimizer();
-            this.cacheManager = new CacheManager();
+            this.adaptiveLoading = new AdaptiveLoading();
+            this.tabs = new TabCoordinator();
+            this.currentUserId = null;
+            this.telemetry = createTelemetryReporter(this.tabs);
+            this.adaptTelemetry();
+            this.routeTracker = new RouteTracker();
+            this.performanceMonitor = new PerformanceMonitor(this.telemetry, this.routeTracker);
+            this.resourceOptimizer = new ResourceOptimizer(this.adaptiveLoading, this.tabs);
+            this.cacheManager = new CacheManager(this.tabs);
+            // Service worker diagnostics for the admin debug screen
+            this.diagnostics = new ServiceWorkerDiagnostics(this.resourceOptimizer);
+            this.bookingReminders = new BookingReminders(this.resourceOptimizer);
             this.init();
         }
 
         init() {
+            this.listenToOtherTabs();
+
             // Wait for DOM to be ready
             if (document.readyState === 'loading') {
                 document.addEventListener('DOMContentLoaded', () => {
@@ -278,6 +2423,74 @@
             }
         }
 
+        // Sign-in, sign-out and notification read state from other tabs
+        listenToOtherTabs() {
+            this.tabs.on('auth', ({ userId = null }) => {
+                this.currentUserId = userId;
+                window.dispatchEvent(new CustomEvent('carenow:auth-changed', {
+                    detail: { userId: userId }
+                }));
+            });
+
+            this.tabs.on('notification-read', ({ notificationId }) => {
+                window.dispatchEvent(new CustomEvent('carenow:notification-read', {
+                    detail: { notificationId: notificationId }
+                }));
+            });
+        }
+
+        // Tell the other tabs about a new user, once per change
+        broadcastUser(userId) {
+            if (userId === this.currentUserId) return;
+
+            this.currentUserId = userId;
+            this.tabs.broadcast('auth', { userId: userId });
+        }
+
+        // Smaller telemetry batches on slow connections
+        adaptTelemetry() {
+            const apply = (state) => {
+                this.telemetry.setBatchSize(state.lite
+                    ? CONFIG.ADAPTIVE_LOADING.LITE_TELEMETRY_BATCH_SIZE
+                    : CONFIG.TELEMETRY.BATCH_SIZE);
+            };
+
+            apply(this.adaptiveLoading.getState());
+            this.adaptiveLoading.subscribe(apply);
+        }
+
+        // Flutter interop: environment, version and feature switches
+        getRuntimeConfig() {
+            return RUNTIME_CONFIG;
+        }
+
+        // Flutter interop: startup timings in ms since navigation start
+        getStartupTimings() {
+            return this.performanceMonitor.getStartupTimings();
+        }
+
+        // Flutter interop: call from the router on every route change with the
+        // route template (e.g. GoRouterState.fullPath), so timings, long tasks,
+        // INP and errors are attributed to screens rather than URLs
+        setRoute(name, path) {
+            this.routeTracker.setRoute(name, path);
+        }
+
+        // Flutter interop: per-route totals, see PerformanceMonitor.getRouteSummaries()
+        getRouteSummaries() {
+            return this.performanceMonitor.getRouteSummaries();
+        }
+
+        // Flutter interop: current network quality and lite mode
+        getNetworkQuality() {
+            return this.adaptiveLoading.getState();
+        }
+
+        // Flutter interop: returns a function that unsubscribes
+        onNetworkQualityChange(callback) {
+            return this.adaptiveLoading.subscribe(callback);
+        }
+
         optimize() {
             this.optimizeRendering();
             this.optimizeInteractions();
@@ -302,27 +2515,165 @@
             window.addEventListener('scroll', () => {
                 clearTimeout(scrollTimeout);
                 scrollTimeout = setTimeout(() => {
-                    this.performanceMonitor.recordMetric('scroll_end', Date.now());
+                    this.performanceMonitor.recordInteraction('scroll_end');
                 }, 100);
             }, { passive: true });
         }
 
         setupErrorHandling() {
-            window.addEventListener('error', (event) => {
-                this.performanceMonitor.recordMetric('js_error', {
-                    message: event.message,
-                    filename: event.filename,
-                    lineno: event.lineno,
-                    timestamp: Date.now()
-                });
-            });
+            this.errorReporter = new ErrorReporter(this.telemetry, this.performanceMonitor);
+        }
 
-            window.addEventListener('unhandledrejection', (event) => {
-                this.performanceMonitor.recordMetric('promise_rejection', {
-                    reason: event.reason,
-                    timestamp: Date.now()
-                });
+        // Flutter interop: provider resolves with a current Authorization
+        // header value, e.g. `Bearer ${await user.getIdToken()}`, for queued
+        // requests the worker replays after their token expired and for its
+        // upcoming-bookings fetches
+        setAuthorizationProvider(provider) {
+            this.resourceOptimizer.authorizationProvider = provider;
+        }
+
+        // Called from Flutter once the user accepts the update prompt
+        applyUpdate() {
+            return this.resourceOptimizer.updateController.applyUpdate();
+        }
+
+        hasPendingUpdate() {
+            return this.resourceOptimizer.updateController.hasPendingUpdate();
+        }
+
+        // Local stand-in for a push sender; pass an FCM-style or CareNow payload.
+        // background: true shows the system notification even if this tab is visible.
+        // The worker ignores it outside development and verbose-logging builds.
+        simulatePush(payload, { background = false } = {}) {
+            this.resourceOptimizer.postToServiceWorker({ type: 'SIMULATE_PUSH', payload, background });
+        }
+
+        // Flutter interop: local reminders before upcoming bookings, see BookingReminders
+        enableBookingReminders(options) {
+            return this.bookingReminders.enable(options);
+        }
+
+        // Flutter interop: call on sign-out
+        disableBookingReminders() {
+            return this.bookingReminders.disable();
+        }
+
+        // Flutter interop: call after sign-in and on account switches. The
+        // worker caches bookings, profile and payment responses per user and
+        // wipes the previous user's data when the id changes.
+        // Resolves with { ok, userHash, purged } or { ok: false, reason }.
+        async setUser(userId) {
+            this.broadcastUser(userId || null);
+            const result = await this.changeServiceWorkerUser({ type: 'USER_CHANGED', userId: userId || null });
+
+            // An account switch purged the previous user
+            if (result.purged) {
+                await this.revokeMessagingSubscription();
+            }
+            return result;
+        }
+
+        // Flutter interop: call on sign-out, before clearing the auth session.
+        // Drops the user's cached API responses, queued requests, push
+        // subscription and booking reminders.
+        async logout() {
+            this.broadcastUser(null);
+            await this.bookingReminders.disable().catch(error => {
+                console.log('Booking reminder cleanup failed:', error);
             });
+            await this.revokeMessagingSubscription();
+
+            return this.changeServiceWorkerUser({ type: 'LOGOUT' });
+        }
+
+        // FCM subscribes on the firebase-messaging-sw.js registration, which
+        // the worker's purge cannot reach. Unsubscribing it invalidates the
+        // previous user's token; carenow:push-token-revoked tells the app to
+        // call FirebaseMessaging.deleteToken() before requesting a new one.
+        async revokeMessagingSubscription() {
+            if (!('serviceWorker' in navigator)) return;
+
+            try {
+                const registrations = await serviceWorkerRegistrations('/firebase-messaging-sw.js');
+                const subscriptions = await Promise.all(registrations
+                    .filter(registration => registration.pushManager)
+                    .map(registration => registration.pushManager.getSubscription()));
+                const active = subscriptions.filter(Boolean);
+
+                await Promise.all(active.map(subscription => subscription.unsubscribe()));
+                if (active.length > 0) {
+                    window.dispatchEvent(new CustomEvent('carenow:push-token-revoked'));
+                }
+            } catch (error) {
+                console.log('Push unsubscribe failed:', error);
+            }
+        }
+
+        async changeServiceWorkerUser(message) {
+            const registration = 'serviceWorker' in navigator
+                ? await navigator.serviceWorker.getRegistration()
+                : null;
+            if (!registration) {
+                return { ok: false, reason: 'no-service-worker' };
+            }
+
+            return this.resourceOptimizer.requestFromServiceWorker(message, CONFIG.USER_CHANGE_TIMEOUT);
+        }
+
+        // Flutter interop: whether this tab runs the once-per-user work.
+        // carenow:tab-leader fires when that changes.
+        isLeader() {
+            return this.tabs.isLeader();
+        }
+
+        // Flutter interop: other tabs get carenow:notification-read
+        markNotificationRead(notificationId) {
+            this.tabs.broadcast('notification-read', { notificationId: notificationId });
+        }
+
+        // Flutter interop: the share id or error the worker put in the
+        // booking screen's hash route (#/client/booking?shareId=<id>), as
+        // { shareId, shareError } with null for whichever is missing
+        getShareId() {
+            const hash = window.location.hash;
+            const queryStart = hash.indexOf('?');
+            const params = new URLSearchParams(queryStart >= 0 ? hash.slice(queryStart + 1) : '');
+
+            return {
+                shareId: params.get('shareId'),
+                shareError: params.get('shareError')
+            };
+        }
+
+        // Flutter interop: content shared into the installed app, for the id
+        // from getShareId(). Resolves with the title, text, url and File
+        // objects, or null once the share has expired
+        async getSharedContent(shareId) {
+            const base = `/share-target/${encodeURIComponent(shareId)}`;
+            const response = await fetch(base, { cache: 'no-store' });
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                throw new Error(`Shared content unavailable (${response.status})`);
+            }
+
+            const item = await response.json();
+            const files = await Promise.all(item.files.map(async file => {
+                const res = await fetch(file.url, { cache: 'no-store' });
+                // An error page would otherwise come back as the file's contents
+                if (!res.ok) {
+                    throw new Error(`Shared file ${file.name} unavailable (${res.status})`);
+                }
+
+                return new File([await res.blob()], file.name, { type: file.type });
+            }));
+
+            return { ...item, files };
+        }
+
+        // Drop staged shared content once the booking request has used it
+        discardSharedContent(shareId) {
+            return fetch(`/share-target/${encodeURIComponent(shareId)}`, { method: 'DELETE' })
+                .then(response => response.ok);
         }
 
         reportPerformance() {
@@ -332,12 +2683,8 @@
                     const metrics = this.performanceMonitor.getMetrics();
                     console.log('Performance Metrics:', metrics);
                     
-                    // Send to analytics
-                    if (window.gtag) {
-                        window.gtag('event', 'performance_report', {
-                            custom_map: { metrics: JSON.stringify(metrics) }
-                        });
-                    }
+                    this.telemetry.record('interactions', 'interaction_counts',
+                        this.performanceMonitor.getInteractionCounts());
                 }, 1000);
             });
         }
@@ -349,4 +2696,7 @@
     // Export for debugging
     window.CareNowOptimizer = optimizer;
 
+    // Transports for plugging in other collectors or capturing telemetry in tests
+    window.CareNowTelemetry = { GtagTransport, HttpTransport, MemoryTransport, TelemetryReporter };
+
 })();